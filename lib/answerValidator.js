@@ -0,0 +1,236 @@
+// lib/answerValidator.js
+//
+// Checks answers against the structure the bot prompts ask for: a leading
+// citation ("From the transcript of Interview #4 with Jean Carlomusto:"),
+// the answer, optional supporting evidence and one closing follow-up
+// ("Would you like to know more about ...?"), in English or, for Spanish
+// questions, in the Spanish forms of lib/language.js. Answers that fall
+// short are repaired: a cut-off answer is continued, a malformed one
+// regenerated shorter, and as a last resort trimmed to its complete sentences.
+const { splitSentences } = require('./sentences');
+const { extractCitations } = require('./citations');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+
+const CITATION_PREFIX = /^\s*["“]?(?:From the transcripts? of|De las? transcripci[oó]n(?:es)? de(?: la)?) ((?:Interview|Entrevista)\s+#?\d+[^:\n]*):\s*/i;
+const NO_INFORMATION = /\bI (?:don't|do not|didn't|did not) find (?:any )?information about\b|\bNo (?:encuentro|encontré|hay) (?:ninguna )?información sobre\b/i;
+const FOLLOW_UP = /^["“]?(?:Would you like to know more about .+\?|¿(?:Te|Le|Les) gustaría saber más (?:sobre|acerca de) .+\?)["”]?$/i;
+const ANY_FOLLOW_UP = /(?:\bwould you like\b|¿[^?]*\bgustar[ií]a)[^?]*\?["”]?$/i;
+// Where a follow-up starts in a continuation
+const FOLLOW_UP_START = /\bWould you like\b|¿(?:Te|Le|Les) gustar[ií]a\b/i;
+// Text ends a sentence: terminal punctuation, then optional closing quotes or brackets
+const COMPLETE_ENDING = /[.!?]["'”’)\]]*$/;
+
+// Repair instructions, naming the follow-up and citation forms of the answer's language
+function continuePrompt(format) {
+    return 'Your answer was cut off. Reply with only the missing end of it: finish the last ' +
+        `sentence briefly and end with one follow-up question in the form "${format.followUp}". ` +
+        'Do not repeat what you already wrote.';
+}
+
+function followUpPrompt(format) {
+    return `Reply with only one follow-up question for your answer, in the form "${format.followUp}".`;
+}
+
+function shorterPrompt(format) {
+    return `Answer again in ${format.name} in at most three sentences. Start with the citation ` +
+        `("${format.citation}"), give the answer, and end with exactly one follow-up question ("${format.followUp}").`;
+}
+
+/**
+ * Splits an answer into its parts:
+ *   { citation: { text, interviews }|null, answer, evidence: string[],
+ *     followUp, followUpCount, noInformation, complete }
+ * `answer` is the first sentence after the citation, `evidence` the
+ * sentences between it and the follow-up.
+ */
+function parseAnswer(text) {
+    const trimmed = (text || '').trim();
+    const prefix = CITATION_PREFIX.exec(trimmed);
+    const citation = prefix
+        ? { text: prefix[0].trim(), interviews: extractCitations(prefix[1]).map(cited => cited.interviewId) }
+        : null;
+
+    const sentences = splitSentences(prefix ? trimmed.slice(prefix[0].length) : trimmed).map(sentence => sentence.text);
+    const followUps = sentences.filter(sentence => ANY_FOLLOW_UP.test(sentence));
+    const last = sentences[sentences.length - 1];
+    const followUp = last && FOLLOW_UP.test(last) ? last : null;
+    const body = followUp ? sentences.slice(0, -1) : sentences;
+
+    return {
+        citation,
+        answer: body[0] || null,
+        evidence: body.slice(1),
+        followUp,
+        followUpCount: followUps.length,
+        noInformation: NO_INFORMATION.test(trimmed),
+        complete: COMPLETE_ENDING.test(trimmed)
+    };
+}
+
+/**
+ * Problems with an answer, as codes:
+ *   empty, truncated (cut off by max_tokens or mid-sentence),
+ *   missing_citation, missing_follow_up, multiple_follow_ups
+ * `expectCitation` and `expectFollowUp` say which parts this answer needs;
+ * "I don't find information" answers need neither.
+ *
+ * @returns {{ valid: boolean, problems: string[], parts: object }}
+ */
+function checkAnswer(text, { finishReason = null, expectCitation = true, expectFollowUp = true } = {}) {
+    const parts = parseAnswer(text);
+    const problems = [];
+    if (!parts.answer && !parts.followUp) {
+        problems.push('empty');
+    } else {
+        if (finishReason === 'length' || !parts.complete) problems.push('truncated');
+        if (expectCitation && !parts.citation && !parts.noInformation) problems.push('missing_citation');
+        if (expectFollowUp && !parts.followUp && !parts.noInformation && !problems.includes('truncated')) {
+            problems.push('missing_follow_up');
+        }
+        if (parts.followUpCount > 1) problems.push('multiple_follow_ups');
+    }
+    return { valid: problems.length === 0, problems, parts };
+}
+
+// The answer up to its last complete sentence (abbreviations such as "Dr."
+// or "U.S." don't count as ends), or with a period added if it has none
+function trimToCompleteSentences(text) {
+    const trimmed = (text || '').trim().replace(/\s*(?:\.{3,}|…)$/, '');
+    const complete = splitSentences(trimmed).filter(sentence => COMPLETE_ENDING.test(sentence.text));
+    if (complete.length === 0) {
+        return trimmed ? `${trimmed}.` : trimmed;
+    }
+    return trimmed.slice(0, complete[complete.length - 1].charEnd);
+}
+
+function addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+    return {
+        prompt_tokens: total.prompt_tokens + usage.prompt_tokens,
+        completion_tokens: total.completion_tokens + usage.completion_tokens,
+        total_tokens: total.total_tokens + usage.total_tokens
+    };
+}
+
+// Joins a continuation onto a cut-off answer, the follow-up in its own paragraph
+function joinContinuation(text, continuation) {
+    let joined = text.trimEnd();
+    const rest = continuation.trim();
+    const followUpStart = rest.search(FOLLOW_UP_START);
+    const tail = followUpStart > 0 ? rest.slice(0, followUpStart).trim() : (followUpStart === 0 ? '' : rest);
+    if (tail) {
+        joined += /^[,.;:!?)]/.test(tail) ? tail : ` ${tail}`;
+    }
+    if (followUpStart >= 0) {
+        joined += `\n\n${rest.slice(followUpStart).trim()}`;
+    }
+    return joined;
+}
+
+/**
+ * Validates a completion and repairs it with at most `maxAttempts` more
+ * model calls: a continuation when only the end is missing, otherwise a
+ * shorter regeneration. Whatever is still wrong afterwards is trimmed to
+ * complete sentences, with a follow-up about the cited narrator added when
+ * one is needed and `defaultFollowUp` can name a topic.
+ *
+ * `request` is the original completion request ({ model, messages, ... })
+ * and `language` the language the answer should be in.
+ * Returns the final text, the usage of the repair calls and a validation
+ * record { valid, problems, repairs, remaining } for the message log.
+ */
+async function repairAnswer({
+    llm,
+    request,
+    text,
+    finishReason = null,
+    expectCitation = true,
+    expectFollowUp = true,
+    maxAttempts = 2,
+    language = DEFAULT_LANGUAGE,
+    defaultFollowUp = () => null,
+    log = console
+}) {
+    const expectations = { expectCitation, expectFollowUp };
+    const format = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    const initial = checkAnswer(text, { finishReason, ...expectations });
+    const repairs = [];
+    let usage = null;
+    let current = initial;
+
+    const ask = async (messages, kind) => {
+        try {
+            const completion = await llm.complete({ ...request, messages });
+            usage = addUsage(usage, completion.usage);
+            return completion;
+        } catch (error) {
+            log.error(`Answer ${kind} failed, keeping the answer as it is:`, error.message);
+            return null;
+        }
+    };
+
+    for (let attempt = 0; attempt < maxAttempts && !current.valid; attempt++) {
+        const onlyEndMissing = current.problems.every(problem => problem === 'truncated' || problem === 'missing_follow_up');
+        if (onlyEndMissing && !repairs.includes('continuation')) {
+            const prompt = current.problems.includes('truncated') ? continuePrompt(format) : followUpPrompt(format);
+            const completion = await ask([
+                ...request.messages,
+                { role: 'assistant', content: text },
+                { role: 'user', content: prompt }
+            ], 'continuation');
+            if (!completion) break;
+            repairs.push('continuation');
+            const continued = joinContinuation(text, completion.text);
+            const check = checkAnswer(continued, { finishReason: completion.finishReason, ...expectations });
+            if (check.problems.length < current.problems.length) {
+                text = continued;
+                current = check;
+            }
+        } else {
+            const completion = await ask([
+                ...request.messages,
+                { role: 'system', content: shorterPrompt(format) }
+            ], 'regeneration');
+            if (!completion) break;
+            repairs.push('regeneration');
+            const check = checkAnswer(completion.text, { finishReason: completion.finishReason, ...expectations });
+            if (check.problems.length <= current.problems.length) {
+                text = completion.text;
+                current = check;
+            }
+        }
+    }
+
+    if (current.problems.includes('truncated')) {
+        text = trimToCompleteSentences(text);
+        repairs.push('trimmed');
+        current = checkAnswer(text, expectations);
+    }
+    if (current.problems.includes('missing_follow_up')) {
+        const followUp = defaultFollowUp(current.parts);
+        if (followUp) {
+            text = `${text.trimEnd()}\n\n${followUp}`;
+            repairs.push('default_follow_up');
+            current = checkAnswer(text, expectations);
+        }
+    }
+
+    return {
+        text,
+        usage,
+        validation: {
+            valid: current.valid,
+            problems: initial.problems,
+            repairs,
+            remaining: current.problems
+        }
+    };
+}
+
+module.exports = {
+    parseAnswer,
+    checkAnswer,
+    trimToCompleteSentences,
+    repairAnswer
+};
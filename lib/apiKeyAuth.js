@@ -0,0 +1,40 @@
+// lib/apiKeyAuth.js
+//
+// Bearer-token check for the research endpoints (exports, chat history) and
+// the admin endpoints. Keys come from configuration; with none configured
+// the endpoints stay closed rather than open.
+const crypto = require('crypto');
+
+function sameKey(given, expected) {
+    // Compare digests so the comparison takes the same time for any length
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware accepting `Authorization: Bearer <key>` for any of
+ * `keys` (a comma-separated string or an array). `access` names what the
+ * keys grant in the error for a server without keys.
+ */
+function requireApiKey(keys, access = 'Research access') {
+    const allowed = (Array.isArray(keys) ? keys : String(keys || '').split(','))
+        .map(key => key.trim())
+        .filter(Boolean);
+
+    return (req, res, next) => {
+        if (allowed.length === 0) {
+            return res.status(503).json({ error: `${access} is not configured on this server` });
+        }
+        const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        if (!match || !allowed.some(key => sameKey(match[1].trim(), key))) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'A valid API key is required' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    requireApiKey
+};
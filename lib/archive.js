@@ -0,0 +1,241 @@
+// lib/archive.js
+//
+// Read-only views of the loaded archive for GET /api/interviews and
+// GET /api/search: interview listings, one interview with its chunks, and
+// ranked passages with the matched words marked. Hybrid search embeds the
+// query and, when the archive has passages in another language, has the chat
+// model translate it (AISearchEngine.translateQuery), so the server rate
+// limits GET /api/search like the chats and counts its cost toward the daily
+// spend cap. Keyword search calls no model.
+const { normalizeFilters, matchesFilters, FilterValidationError } = require('./metadataFilters');
+const { foldDiacritics, tokenize } = require('./lexicalIndex');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const SEARCH_MODES = ['hybrid', 'keyword'];
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 100;
+
+class ArchiveQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ArchiveQueryError';
+    }
+}
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parsePositiveInt(value, field, fallback, max = Infinity) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new ArchiveQueryError(max === Infinity
+            ? `${field} must be a positive integer`
+            : `${field} must be an integer from 1 to ${max}`);
+    }
+    return number;
+}
+
+// Query parameters tag, interview, dateFrom and dateTo as metadata filters
+function parseFilters(query) {
+    try {
+        return normalizeFilters({
+            tags: parseList(query.tag),
+            interviews: parseList(query.interview),
+            dateFrom: query.dateFrom || undefined,
+            dateTo: query.dateTo || undefined
+        });
+    } catch (error) {
+        if (error instanceof FilterValidationError) {
+            throw new ArchiveQueryError(error.message.replace(/^filters\./, ''));
+        }
+        throw error;
+    }
+}
+
+function summarizeInterview(id, record) {
+    return {
+        id,
+        narrator: record.name,
+        date: record.date,
+        excerptTitle: record.excerpt_title,
+        tags: record.tagList,
+        pdfName: record.pdf_name,
+        pdfUrl: record.web_url
+    };
+}
+
+// Chunk indices of one interview in transcript order
+function chunksOf(searchEngine, record) {
+    return searchEngine.chunkMetadata
+        .map((metadata, index) => ({ index, metadata }))
+        .filter(({ metadata }) => metadata.source === record.pdf_name)
+        .sort((a, b) => (a.metadata.charStart || 0) - (b.metadata.charStart || 0) || a.index - b.index);
+}
+
+/**
+ * Interviews in id order, optionally filtered. Query parameters:
+ *   tag=a,b (any of), dateFrom, dateTo, page (from 1), pageSize
+ */
+function listInterviews(searchEngine, query = {}) {
+    const filters = parseFilters({ ...query, interview: undefined });
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const pageSize = parsePositiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const matching = [...searchEngine.metadata.entries()]
+        .filter(([id, record]) => matchesFilters(id, record, filters))
+        .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+
+    return {
+        total: matching.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(matching.length / pageSize),
+        interviews: matching
+            .slice((page - 1) * pageSize, page * pageSize)
+            .map(([id, record]) => summarizeInterview(id, record))
+    };
+}
+
+// One interview with its page count and chunks, or null for an unknown id
+function describeInterview(searchEngine, id) {
+    const record = searchEngine.metadata.get(String(id));
+    if (!record) return null;
+
+    const chunks = chunksOf(searchEngine, record).map(({ index, metadata }) => ({
+        chunkIndex: index,
+        pageStart: metadata.pageStart || null,
+        pageEnd: metadata.pageEnd || null,
+        charStart: metadata.charStart !== undefined ? metadata.charStart : null,
+        charEnd: metadata.charEnd !== undefined ? metadata.charEnd : null,
+        speakers: metadata.speakers || [],
+        language: metadata.language || null,
+        languages: metadata.languages || [],
+        text: searchEngine.texts[index]
+    }));
+    const pages = chunks.map(chunk => chunk.pageEnd || chunk.pageStart).filter(Boolean);
+
+    return {
+        ...summarizeInterview(String(id), record),
+        pageCount: pages.length > 0 ? Math.max(...pages) : null,
+        chunkCount: chunks.length,
+        chunks
+    };
+}
+
+/**
+ * Character ranges in `text` of the words in `query`, compared the way the
+ * lexical index compares them (lower case, no diacritics, no stopwords).
+ */
+function findHighlights(text, query) {
+    const terms = new Set(tokenize(query).filter(term => !term.includes(' ')));
+    const highlights = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        if (terms.has(foldDiacritics(match[0].toLowerCase()))) {
+            highlights.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return highlights;
+}
+
+// A window of the text around the first highlight
+function snippetAround(text, highlights) {
+    const first = highlights.length > 0 ? highlights[0].start : 0;
+    const start = Math.max(0, first - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+    return `${start > 0 ? '…' : ''}${text.substring(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Ranked passages for `q`. Query parameters:
+ *   q, limit, mode=hybrid|keyword, tag, interview, dateFrom, dateTo
+ * Hybrid search embeds the query and fuses semantic and BM25 rankings as
+ * chats do, translations of the query included, without reranking; keyword
+ * search uses BM25 alone on the words as given. Each passage has its full
+ * text and `highlights`, the character ranges of query words (translated
+ * ones too). `usage` (a TurnUsage) records the translation and embedding
+ * calls.
+ */
+async function searchPassages(searchEngine, query = {}, usage = null) {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) {
+        throw new ArchiveQueryError('q is required');
+    }
+    const mode = query.mode || 'hybrid';
+    if (!SEARCH_MODES.includes(mode)) {
+        throw new ArchiveQueryError(`mode must be one of ${SEARCH_MODES.join(', ')}`);
+    }
+    const limit = parsePositiveInt(query.limit, 'limit', DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    const filters = parseFilters(query);
+
+    let sources = null;
+    if (filters) {
+        sources = [...searchEngine.metadata.entries()]
+            .filter(([id, record]) => matchesFilters(id, record, filters))
+            .map(([, record]) => record.pdf_name);
+        if (sources.length === 0) {
+            return { query: q, mode, translations: [], total: 0, passages: [] };
+        }
+    }
+
+    let results;
+    let translations = [];
+    if (mode === 'keyword') {
+        results = searchEngine.lexicalIndex.search(q, { k: limit, sources }).map(hit => ({
+            index: hit.index,
+            lexicalScore: hit.score,
+            text: searchEngine.texts[hit.index],
+            metadata: searchEngine.chunkMetadata[hit.index]
+        }));
+    } else {
+        const { minScore, candidates } = searchEngine.retrieval;
+        translations = await searchEngine.translateQuery(q, undefined, usage);
+        const queries = [q, ...translations.map(translation => translation.query)];
+        const [embedding, ...translationEmbeddings] = await searchEngine.llm.embed(queries);
+        if (usage) usage.addEmbedding(queries);
+        results = await searchEngine.searchChunks(q, embedding, {
+            sources,
+            topK: limit,
+            minScore,
+            candidates: Math.max(candidates, limit),
+            rerank: false,
+            translations: translations.map((translation, i) => ({
+                query: translation.query,
+                embedding: translationEmbeddings[i]
+            }))
+        });
+    }
+
+    const passages = results.map((item, rank) => {
+        const { snippet, ...source } = searchEngine.describeSource(item);
+        const highlights = findHighlights(item.text, [q, ...translations.map(translation => translation.query)].join(' '));
+        return {
+            rank: rank + 1,
+            ...source,
+            snippet: snippetAround(item.text, highlights),
+            text: item.text,
+            highlights
+        };
+    });
+    return {
+        query: q,
+        mode,
+        translations: translations.map(translation => translation.query),
+        total: passages.length,
+        passages
+    };
+}
+
+module.exports = {
+    ArchiveQueryError,
+    listInterviews,
+    describeInterview,
+    searchPassages
+};
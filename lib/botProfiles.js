@@ -0,0 +1,126 @@
+// lib/botProfiles.js
+//
+// Chatbot conditions are described by profiles in bots/<id>.json: the prompt
+// template, completion parameters, retrieval overrides and scripted question
+// rules (see lib/ruleEngine.js). Every change to a profile that affects
+// answers should bump its `version`, which is logged with each message.
+const fs = require('fs');
+const path = require('path');
+const { RuleError, validateRules } = require('./ruleEngine');
+
+// Completion parameters a profile may set
+const COMPLETION_KEYS = ['model', 'temperature', 'max_tokens', 'top_p', 'presence_penalty', 'frequency_penalty'];
+
+// Retrieval settings a profile may override (see AISearchEngine.retrieval)
+const RETRIEVAL_KEYS = [
+    'topK', 'minScore', 'candidates', 'rerankCandidates', 'synthesis',
+    'synthesisTopK', 'maxChunksPerInterview', 'mmrLambda'
+];
+
+class BotProfileError extends Error {
+    constructor(file, message) {
+        super(`${file}: ${message}`);
+        this.name = 'BotProfileError';
+    }
+}
+
+function validateProfile(profile, file) {
+    if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(profile.id)) {
+        throw new BotProfileError(file, 'id must be lowercase letters, digits and dashes');
+    }
+    if (profile.id.length > 50) {
+        throw new BotProfileError(file, 'id must be at most 50 characters');
+    }
+    if (typeof profile.version !== 'number' && typeof profile.version !== 'string') {
+        throw new BotProfileError(file, 'version is required');
+    }
+    if (!profile.completion || typeof profile.completion.model !== 'string') {
+        throw new BotProfileError(file, 'completion.model is required');
+    }
+    for (const key of Object.keys(profile.completion)) {
+        if (!COMPLETION_KEYS.includes(key)) {
+            throw new BotProfileError(file, `unknown completion parameter "${key}"`);
+        }
+    }
+    for (const key of Object.keys(profile.retrieval || {})) {
+        if (!RETRIEVAL_KEYS.includes(key)) {
+            throw new BotProfileError(file, `unknown retrieval setting "${key}"`);
+        }
+    }
+    try {
+        validateRules(profile.rules || []);
+    } catch (error) {
+        if (error instanceof RuleError) {
+            throw new BotProfileError(file, error.message);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads every bots/*.json profile along with its prompt template.
+ * Throws BotProfileError on the first invalid profile.
+ *
+ * @returns {Map<string, object>} profiles by id
+ */
+function loadBotProfiles(directory) {
+    const profiles = new Map();
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+        let profile;
+        try {
+            profile = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+            throw new BotProfileError(file, error.message);
+        }
+        validateProfile(profile, file);
+
+        if (profiles.has(profile.id)) {
+            throw new BotProfileError(file, `duplicate bot id "${profile.id}"`);
+        }
+        if (!profile.promptFile) {
+            throw new BotProfileError(file, 'promptFile is required');
+        }
+        const template = fs.readFileSync(path.join(directory, profile.promptFile), 'utf8').trimEnd();
+        if (!template.includes('{{context}}')) {
+            throw new BotProfileError(file, `${profile.promptFile} has no {{context}} placeholder`);
+        }
+
+        profiles.set(profile.id, {
+            ...profile,
+            version: String(profile.version),
+            retrieval: profile.retrieval || {},
+            rules: profile.rules || [],
+            template
+        });
+    }
+    return profiles;
+}
+
+// Instructions for the rules that matched this question, if any
+function formatPredefinedTasks(rules) {
+    const lines = rules
+        .filter(rule => rule.followUp)
+        .map(rule => `- This question has a predefined follow-up. Follow all the rules and the response structure, but end with exactly: "${rule.followUp}"`);
+    return lines.length > 0 ? `PREDEFINED TASKS:\n${lines.join('\n')}` : '';
+}
+
+// System prompt of a profile with the retrieved context, matched rules and
+// language instructions (lib/language.js) filled in. Templates without a
+// {{language}} placeholder get the instructions at the end.
+function renderSystemPrompt(profile, relevantContext, matchedRules = [], languageNotes = '') {
+    const prompt = profile.template
+        .replace('{{predefinedTasks}}', () => formatPredefinedTasks(matchedRules))
+        .replace('{{context}}', () => relevantContext);
+    if (prompt.includes('{{language}}')) {
+        return prompt.replace('{{language}}', () => languageNotes);
+    }
+    return languageNotes ? `${prompt}\n\n${languageNotes}` : prompt;
+}
+
+module.exports = {
+    BotProfileError,
+    loadBotProfiles,
+    renderSystemPrompt
+};
@@ -0,0 +1,223 @@
+// lib/chatExport.js
+//
+// Research exports of chat_messages, shared by GET /api/export and
+// scripts/exportChats.js. Rows come out one per message or one per turn
+// (a question with the answer given to it), as CSV or JSONL. Participant and
+// session ids can be replaced by a salted hash so exports can be shared
+// without the Qualtrics ids or the session ids stored next to them.
+const crypto = require('crypto');
+
+const FORMATS = ['csv', 'jsonl'];
+const UNITS = ['message', 'turn'];
+
+const MESSAGE_COLUMNS = [
+    'message_id', 'participant', 'session_id', 'chatbot_id', 'bot_version', 'role', 'content',
+    'language', 'rewritten_query', 'sources', 'validation', 'latency_ms', 'prompt_tokens', 'completion_tokens',
+    'timestamp'
+];
+
+const TURN_COLUMNS = [
+    'participant', 'session_id', 'chatbot_id', 'bot_version', 'language', 'question', 'rewritten_query', 'answer',
+    'sources', 'validation', 'latency_ms', 'prompt_tokens', 'completion_tokens', 'asked_at', 'answered_at'
+];
+
+class ExportOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportOptionsError';
+    }
+}
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// A date-only `to` ("2003-04-30") includes that whole day
+function parseDate(value, field, endOfDay = false) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ExportOptionsError(`${field} must be a date such as "2024-03-01"`);
+    }
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+}
+
+/**
+ * Validates export options given as query parameters or CLI flags:
+ *   { format, unit, chatbotIds, from, to, participants, pseudonymize, salt }
+ */
+function normalizeExportOptions(options) {
+    const format = options.format || 'csv';
+    const unit = options.unit || 'message';
+    if (!FORMATS.includes(format)) {
+        throw new ExportOptionsError(`format must be one of ${FORMATS.join(', ')}`);
+    }
+    if (!UNITS.includes(unit)) {
+        throw new ExportOptionsError(`unit must be one of ${UNITS.join(', ')}`);
+    }
+
+    const pseudonymize = options.pseudonymize === true || options.pseudonymize === 'true' || options.pseudonymize === '1';
+    if (pseudonymize && !options.salt) {
+        throw new ExportOptionsError('pseudonymizing participants needs a salt (EXPORT_PSEUDONYM_SALT)');
+    }
+
+    const from = parseDate(options.from, 'from');
+    const to = parseDate(options.to, 'to', true);
+    if (from && to && from >= to) {
+        throw new ExportOptionsError('from must be before to');
+    }
+
+    return {
+        format,
+        unit,
+        chatbotIds: parseList(options.chatbotIds),
+        participants: parseList(options.participants),
+        from,
+        to,
+        pseudonymize,
+        salt: pseudonymize ? options.salt : null
+    };
+}
+
+function pseudonym(qualtricsId, salt) {
+    return crypto.createHmac('sha256', salt).update(qualtricsId || '').digest('hex').substring(0, 16);
+}
+
+async function fetchMessages(pool, options) {
+    const conditions = [];
+    const params = [];
+    const add = (condition, value) => {
+        params.push(value);
+        conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (options.chatbotIds.length > 0) add('chatbot_id = ANY(?)', options.chatbotIds);
+    if (options.participants.length > 0) add('qualtrics_id = ANY(?)', options.participants);
+    if (options.from) add('timestamp >= ?', options.from);
+    if (options.to) add('timestamp < ?', options.to);
+
+    const result = await pool.query(
+        `SELECT id, qualtrics_id, session_id, role, content, chatbot_id, bot_version, language, rewritten_query,
+                sources, validation, latency_ms, prompt_tokens, completion_tokens, turn_key, timestamp
+         FROM chat_messages
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id`,
+        params
+    );
+    return result.rows;
+}
+
+// Pairs each question with the answer of the same turn key. Messages logged
+// before turns had keys are paired with the next answer in the same bot
+// session instead.
+function groupTurns(rows) {
+    const turns = [];
+    const byTurnKey = new Map();
+    const open = new Map();
+
+    for (const row of rows) {
+        const key = `${row.chatbot_id}\u0000${row.session_id}`;
+        if (row.role === 'user') {
+            const turn = {
+                participant: row.participant,
+                session_id: row.session_id,
+                chatbot_id: row.chatbot_id,
+                bot_version: row.bot_version,
+                language: row.language,
+                question: row.content,
+                rewritten_query: row.rewritten_query,
+                answer: null,
+                sources: null,
+                validation: null,
+                latency_ms: null,
+                prompt_tokens: null,
+                completion_tokens: null,
+                asked_at: row.timestamp,
+                answered_at: null
+            };
+            turns.push(turn);
+            if (row.turn_key) {
+                byTurnKey.set(row.turn_key, turn);
+                open.delete(key);
+            } else {
+                open.set(key, turn);
+            }
+        } else if (row.role === 'assistant') {
+            const turn = row.turn_key ? byTurnKey.get(row.turn_key) : open.get(key);
+            if (!turn) continue;
+            Object.assign(turn, {
+                answer: row.content,
+                sources: row.sources,
+                validation: row.validation,
+                latency_ms: row.latency_ms,
+                prompt_tokens: row.prompt_tokens,
+                completion_tokens: row.completion_tokens,
+                answered_at: row.timestamp
+            });
+            if (!row.turn_key) open.delete(key);
+        } else if (row.role === 'reset') {
+            open.delete(key);
+        }
+    }
+    return turns;
+}
+
+/**
+ * Runs an export with normalized options.
+ *
+ * @returns {Promise<{ columns: string[], records: object[] }>}
+ */
+async function exportChats(pool, options) {
+    const rows = (await fetchMessages(pool, options)).map(row => ({
+        ...row,
+        participant: options.pseudonymize ? pseudonym(row.qualtrics_id, options.salt) : row.qualtrics_id,
+        session_id: options.pseudonymize ? pseudonym(row.session_id, options.salt) : row.session_id
+    }));
+
+    if (options.unit === 'turn') {
+        return { columns: TURN_COLUMNS, records: groupTurns(rows) };
+    }
+    return {
+        columns: MESSAGE_COLUMNS,
+        records: rows.map(row => Object.fromEntries(MESSAGE_COLUMNS.map(column => [
+            column,
+            column === 'message_id' ? row.id : row[column]
+        ])))
+    };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatExport({ columns, records }, format) {
+    if (format === 'jsonl') {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+    const lines = [columns.join(',')];
+    records.forEach(record => lines.push(columns.map(column => csvValue(record[column])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    ExportOptionsError,
+    normalizeExportOptions,
+    exportChats,
+    formatExport,
+    pseudonym
+};
@@ -0,0 +1,186 @@
+// lib/chatPipeline.js
+//
+// The steps from a question to a checked answer that don't touch the
+// database, shared by the server and scripts/evaluate.js: rule matching,
+// retrieval and the completion messages before the model answers; format
+// validation and repair, scripted follow-ups and citation checks after.
+const { renderSystemPrompt } = require('./botProfiles');
+const { withFollowUp } = require('./ruleEngine');
+const { extractCitations, verifyCitations } = require('./citations');
+const { repairAnswer } = require('./answerValidator');
+const { LANGUAGES, DEFAULT_LANGUAGE, questionLanguage, languageInstructions } = require('./language');
+
+// Greetings and thanks, which the prompts answer warmly without a citation
+const SMALL_TALK = new RegExp(
+    '^[\\s¿¡"“]*(?:hi|hello|hey|good (?:morning|afternoon|evening)|how are you|thanks|thank you|bye|goodbye|' +
+    'hola|buen[oa]s (?:días|tardes|noches)|qué tal|cómo est[aá]s?|gracias|muchas gracias|adiós|chao)' +
+    '(?![\\p{L}])[\\p{L}\\s,\'!?.¡¿]{0,20}$',
+    'iu'
+);
+// An answer that ends by asking the user something, e.g. which of two narrators they mean
+const QUESTION_ENDING = /\?["”']*$/;
+
+/**
+ * The bot's rules matching a question, matched as asked and as rewritten by
+ * the model (rule-based rewrites just prepend the earlier question).
+ * `usage` (a TurnUsage) records the embedding calls.
+ *
+ * @returns {Promise<{ matches: object[], cannedMatch: object|null, pinnedInterviews: string[] }>}
+ */
+async function matchRules(ruleEngine, question, rewritten, usage = null) {
+    const matches = await ruleEngine.match([question, rewritten.method === 'llm' ? rewritten.query : null], usage);
+    return {
+        matches,
+        cannedMatch: matches.find(match => match.rule.answer) || null,
+        pinnedInterviews: [...new Set(matches.flatMap(match => match.rule.pinInterviews || []))]
+    };
+}
+
+/**
+ * Retrieves context for the question, restricted to any pinned interviews,
+ * and builds the completion messages, asking for an answer in `language`
+ * (by default the question's, see lib/language.js). `ambiguousNames` are
+ * the names the model was told to ask the user about. `usage` (a TurnUsage)
+ * records the model calls of retrieval.
+ *
+ * @returns {Promise<{ sources: object[], messages: object[], language: string, ambiguousNames: string[] }>}
+ */
+async function buildCompletion({
+    searchEngine,
+    bot,
+    question,
+    history,
+    promptHistory,
+    rewritten,
+    filters,
+    rules,
+    language = questionLanguage(question, history),
+    usage = null
+}) {
+    if (rules.pinnedInterviews.length > 0) {
+        filters = { tags: [], dateFrom: null, dateTo: null, ...filters, interviews: rules.pinnedInterviews };
+    }
+
+    const retrieval = await searchEngine.findRelevantContext(question, history, {
+        ...bot.retrieval,
+        filters,
+        rewrittenQuery: rewritten.query,
+        language,
+        usage
+    });
+    const passageLanguages = retrieval.sources.flatMap(source => source.languages);
+
+    return {
+        sources: retrieval.sources,
+        language,
+        ambiguousNames: retrieval.ambiguousNames,
+        messages: [
+            {
+                role: "system",
+                content: renderSystemPrompt(
+                    bot,
+                    retrieval.context,
+                    rules.matches.map(match => match.rule),
+                    languageInstructions(language, passageLanguages)
+                )
+            },
+            ...promptHistory,
+            {
+                role: "user",
+                content: question
+            }
+        ]
+    };
+}
+
+/**
+ * Checks a completion against the answer format and repairs it when needed
+ * (see lib/answerValidator.js). Small talk needs neither a citation nor a
+ * follow-up, and neither does a question back to the user when the context
+ * had names to clarify (`ambiguousNames`); a rule's scripted follow-up
+ * stands in for the model's. `completion` is what the
+ * provider returned for `request` and `language` the answer's language; the
+ * returned usage includes the repair calls.
+ *
+ * @returns {Promise<{ text: string, usage: object|null, validation: object }>}
+ */
+async function validateCompletion({
+    llm,
+    request,
+    completion,
+    question,
+    ruleMatches,
+    sources,
+    interviews,
+    maxAttempts,
+    language = DEFAULT_LANGUAGE,
+    ambiguousNames = []
+}) {
+    const format = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    const text = completion.text || '';
+    const conversational = SMALL_TALK.test(question.trim()) ||
+        (ambiguousNames.length > 0 && QUESTION_ENDING.test(text.trim()));
+    const repaired = await repairAnswer({
+        llm,
+        request,
+        text,
+        finishReason: completion.finishReason,
+        expectCitation: sources.length > 0 && !conversational,
+        expectFollowUp: !conversational && !ruleMatches.some(match => match.rule.followUp),
+        maxAttempts,
+        language,
+        defaultFollowUp: parts => {
+            const id = parts.citation && parts.citation.interviews[0];
+            const record = id && interviews.get(id);
+            return record ? format.interviewFollowUp(record.name) : null;
+        }
+    });
+    if (repaired.validation.problems.length > 0) {
+        const { problems, repairs, remaining } = repaired.validation;
+        console.warn(`Answer format: ${problems.join(', ')}; repairs: ${repairs.join(', ') || 'none'}` +
+            (remaining.length > 0 ? `; still ${remaining.join(', ')}` : ''));
+    }
+
+    let usage = completion.usage || null;
+    if (repaired.usage) {
+        usage = usage ? {
+            prompt_tokens: usage.prompt_tokens + repaired.usage.prompt_tokens,
+            completion_tokens: usage.completion_tokens + repaired.usage.completion_tokens,
+            total_tokens: usage.total_tokens + repaired.usage.total_tokens
+        } : repaired.usage;
+    }
+    return { text: repaired.text, usage, validation: repaired.validation };
+}
+
+/**
+ * Enforces a scripted follow-up on a validated answer and checks the
+ * interviews it cites against the passages it was given (`interviews` is
+ * the metadata Map of the search engine).
+ *
+ * @returns {{ response: string, followUp: { match, replaced }|null, verification: object }}
+ */
+function finishAnswer(answer, { ruleMatches, sources, interviews }) {
+    let response = answer.trim();
+
+    // Scripted follow-ups replace whatever follow-up the model suggested
+    let followUp = null;
+    const followUpMatch = ruleMatches.find(match => match.rule.followUp);
+    if (followUpMatch) {
+        const enforced = withFollowUp(response, followUpMatch.rule.followUp);
+        followUp = { match: followUpMatch, replaced: enforced !== response };
+        response = enforced;
+    }
+
+    return {
+        response,
+        followUp,
+        verification: verifyCitations(extractCitations(response), sources, interviews)
+    };
+}
+
+module.exports = {
+    matchRules,
+    buildCompletion,
+    validateCompletion,
+    finishAnswer
+};
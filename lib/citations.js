@@ -0,0 +1,85 @@
+// lib/citations.js
+const { foldName } = require('./nameResolver');
+
+// "Interview #4 with Jean Carlomusto", "Interview 4", "Interview #4 with Jean Carlomusto, page 12",
+// and in Spanish answers "Entrevista #4 con Jean Carlomusto"
+const CITATION = /\b(?:interview|entrevista)\s+#?(\d+)\b(?:\s+(?:with|con)\s+(.+?)(?=\s*(?:[,:;.()\n]|\s+(?:and|y)\b|$)))?/giu;
+
+/**
+ * Interviews cited in an answer, in order of first mention:
+ * [{ interviewId: '4', name: 'Jean Carlomusto' }]. `name` is null when the
+ * answer gives only the number.
+ */
+function extractCitations(text) {
+    const citations = new Map();
+    for (const match of (text || '').matchAll(CITATION)) {
+        const interviewId = match[1];
+        const name = match[2] ? match[2].trim() : null;
+        if (!citations.has(interviewId)) {
+            citations.set(interviewId, { interviewId, name });
+        } else if (name && !citations.get(interviewId).name) {
+            citations.get(interviewId).name = name;
+        }
+    }
+    return [...citations.values()];
+}
+
+// True when every word of the cited name is part of the narrator's name, so
+// "Jean", "Carlomusto" and "Jean Carlomusto" all match Jean Carlomusto
+function nameMatches(citedName, narrator) {
+    const words = text => foldName(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const narratorWords = new Set(words(narrator));
+    const citedWords = words(citedName);
+    return citedWords.length > 0 && citedWords.every(word => narratorWords.has(word));
+}
+
+/**
+ * Checks the citations in an answer against the sources it was given.
+ * Each citation gets a `status`:
+ *   supported          the interview was in the context (and the name fits)
+ *   not_in_context     a real interview, but none of its passages were supplied
+ *   unknown_interview  no interview with that number exists
+ *   name_mismatch      the interview was supplied but the name doesn't match it
+ * Sources are marked `cited`, and `warnings` describe every problem plus any
+ * supplied interview the answer never cites.
+ *
+ * @param {Array<{interviewId, name}>} citations  from extractCitations
+ * @param {object[]} sources                      passages given to the model
+ * @param {Map<string, object>} interviews        metadata records by id
+ */
+function verifyCitations(citations, sources, interviews) {
+    const suppliedIds = new Set(sources.map(source => source.interviewId));
+    const citedIds = new Set(citations.map(citation => citation.interviewId));
+    const warnings = [];
+
+    const checked = citations.map(citation => {
+        const record = interviews.get(citation.interviewId);
+        let status = 'supported';
+        if (!record) {
+            status = 'unknown_interview';
+            warnings.push(`Interview #${citation.interviewId} does not exist`);
+        } else if (!suppliedIds.has(citation.interviewId)) {
+            status = 'not_in_context';
+            warnings.push(`Interview #${citation.interviewId} is cited but was not in the supplied context`);
+        } else if (citation.name && !nameMatches(citation.name, record.name)) {
+            status = 'name_mismatch';
+            warnings.push(`Interview #${citation.interviewId} is attributed to ${citation.name} but is with ${record.name}`);
+        }
+        return { ...citation, narrator: record ? record.name : null, status };
+    });
+
+    const uncited = [...suppliedIds].filter(id => !citedIds.has(id));
+    uncited.forEach(id => warnings.push(`Interview #${id} was supplied but not cited`));
+
+    return {
+        citations: checked,
+        sources: sources.map(source => ({ ...source, cited: citedIds.has(source.interviewId) })),
+        uncited,
+        warnings
+    };
+}
+
+module.exports = {
+    extractCitations,
+    verifyCitations
+};
@@ -0,0 +1,144 @@
+// lib/embeddingsFile.js
+const fs = require('fs');
+
+// Version 2 stores one record per chunk so a vector can never drift away from
+// its text. Version 1 (parallel embeddings/texts/metadata arrays) is still
+// readable as long as the arrays line up.
+const FORMAT_VERSION = 2;
+
+// Vector sizes of the embedding models we have used
+const MODEL_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536
+};
+
+class EmbeddingsFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EmbeddingsFileError';
+    }
+}
+
+function readEmbeddingsFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return validateEmbeddingsData(data);
+}
+
+function validateEmbeddingsData(data) {
+    let chunks;
+
+    if (Array.isArray(data.chunks)) {
+        chunks = data.chunks;
+    } else if (Array.isArray(data.embeddings)) {
+        const texts = data.texts || [];
+        const metadata = data.metadata || [];
+        if (data.embeddings.length !== texts.length || data.embeddings.length !== metadata.length) {
+            throw new EmbeddingsFileError(
+                `Misaligned embeddings file: ${data.embeddings.length} embeddings, ` +
+                `${texts.length} texts, ${metadata.length} metadata entries`
+            );
+        }
+        chunks = data.embeddings.map((embedding, i) => ({
+            text: texts[i],
+            embedding,
+            metadata: metadata[i]
+        }));
+    } else {
+        throw new EmbeddingsFileError('Embeddings file has neither "chunks" nor "embeddings"');
+    }
+
+    const model = data.model || null;
+    let dimensions = data.dimensions || (model && MODEL_DIMENSIONS[model]) || null;
+    if (!dimensions && chunks.length > 0 && Array.isArray(chunks[0].embedding)) {
+        dimensions = chunks[0].embedding.length;
+    }
+    if (model && MODEL_DIMENSIONS[model] && dimensions !== MODEL_DIMENSIONS[model]) {
+        throw new EmbeddingsFileError(
+            `Embeddings file declares ${dimensions} dimensions but ${model} produces ${MODEL_DIMENSIONS[model]}`
+        );
+    }
+
+    chunks.forEach((chunk, i) => {
+        if (typeof chunk.text !== 'string' || !chunk.metadata || !chunk.metadata.source) {
+            throw new EmbeddingsFileError(`Chunk ${i} is missing its text or source`);
+        }
+        if (!Array.isArray(chunk.embedding) || chunk.embedding.length !== dimensions) {
+            const length = Array.isArray(chunk.embedding) ? chunk.embedding.length : 'no';
+            throw new EmbeddingsFileError(
+                `Chunk ${i} (${chunk.metadata.source}) has ${length} dimensions, expected ${dimensions}`
+            );
+        }
+        if (!chunk.embedding.every(Number.isFinite)) {
+            throw new EmbeddingsFileError(`Chunk ${i} (${chunk.metadata.source}) has a non-numeric vector entry`);
+        }
+    });
+
+    return { model, dimensions, chunks };
+}
+
+/**
+ * Rejects an embeddings file built with a different model than the one that
+ * will embed queries: their vectors live in unrelated spaces, so search would
+ * return noise rather than fail. Files from before the model was recorded
+ * are accepted with a warning.
+ */
+function checkEmbeddingModel(data, queryModel) {
+    if (!data.model) {
+        console.warn(`Embeddings file does not record its model; assuming ${queryModel}`);
+        return;
+    }
+    if (data.model !== queryModel) {
+        throw new EmbeddingsFileError(
+            `Embeddings file was built with ${data.model} but queries are embedded with ${queryModel}; ` +
+            'set EMBEDDING_MODEL to match or rebuild the embeddings'
+        );
+    }
+}
+
+// The record stored for a chunk from lib/transcriptChunker.js
+function chunkRecord(chunk, embedding) {
+    return {
+        text: chunk.text,
+        embedding,
+        metadata: {
+            source: chunk.source,
+            tokens: chunk.tokens,
+            pageStart: chunk.pageStart,
+            pageEnd: chunk.pageEnd,
+            charStart: chunk.charStart,
+            charEnd: chunk.charEnd,
+            speakers: chunk.speakers,
+            narratorShare: chunk.narratorShare,
+            language: chunk.language,
+            languages: chunk.languages
+        }
+    };
+}
+
+// Writes to a temporary file first so a crash never leaves a half-written file
+// where the server expects a complete one.
+function writeEmbeddingsFile(filePath, { model, chunks }) {
+    const dimensions = chunks.length > 0 ? chunks[0].embedding.length : (MODEL_DIMENSIONS[model] || 0);
+    const data = validateEmbeddingsData({ version: FORMAT_VERSION, model, dimensions, chunks });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+        version: FORMAT_VERSION,
+        model: data.model,
+        dimensions: data.dimensions,
+        chunks: data.chunks
+    }));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    FORMAT_VERSION,
+    MODEL_DIMENSIONS,
+    EmbeddingsFileError,
+    readEmbeddingsFile,
+    checkEmbeddingModel,
+    validateEmbeddingsData,
+    chunkRecord,
+    writeEmbeddingsFile
+};
@@ -0,0 +1,390 @@
+// lib/ingestion.js
+//
+// Adds, updates, re-indexes and deletes interviews while the server runs.
+// Every change is a background job: the PDF is chunked and embedded, then
+// metadata.csv, embeddings.json and its lexical index are rewritten and the
+// search engine reloads them. The files a job changes are backed up first
+// and put back when the reload fails, so the files on disk always match the
+// archive the engine serves. Jobs run one at a time so the data files have
+// a single writer. They are kept in memory and forgotten on restart.
+//
+// Uploaded PDFs are stored in the directory scripts/generateEmbeddings.js
+// reads, so a later full build sees the same interviews as the server.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const csv = require('csv-parse/sync');
+const { readEmbeddingsFile, checkEmbeddingModel, chunkRecord, writeEmbeddingsFile } = require('./embeddingsFile');
+const { TranscriptChunker } = require('./transcriptChunker');
+const { LexicalIndex } = require('./lexicalIndex');
+const { readPdfPages } = require('./pdfText');
+const { parseTags, parseInterviewDate } = require('./metadataFilters');
+
+const METADATA_COLUMNS = ['id', 'name', 'date', 'excerpt_title', 'tags', 'web_url', 'pdf_name'];
+const EDITABLE_FIELDS = ['name', 'date', 'excerpt_title', 'tags', 'web_url'];
+// Finished jobs kept for GET /api/admin/jobs
+const MAX_FINISHED_JOBS = 100;
+const EMBEDDING_BATCH_SIZE = 20;
+
+class IngestionRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'IngestionRequestError';
+        this.status = status;
+    }
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Validates the metadata fields of an upload: name, date ("December 14,
+ * 2002"), excerpt_title, tags (";"-separated, or the field repeated) and
+ * web_url. Name and date are required unless `partial` (an update, where
+ * missing fields keep their current value).
+ */
+function normalizeInterviewFields(fields, { partial = false } = {}) {
+    const unknown = Object.keys(fields).filter(name => !EDITABLE_FIELDS.includes(name));
+    if (unknown.length > 0) {
+        throw new IngestionRequestError(`Unknown field(s): ${unknown.join(', ')} (expected ${EDITABLE_FIELDS.join(', ')})`);
+    }
+
+    const normalized = {};
+    for (const name of ['name', 'date', 'excerpt_title', 'web_url']) {
+        if (fields[name] === undefined) continue;
+        if (typeof fields[name] !== 'string' || /[\r\n]/.test(fields[name])) {
+            throw new IngestionRequestError(`${name} must be a single line of text`);
+        }
+        normalized[name] = fields[name].trim();
+    }
+    if (fields.tags !== undefined) {
+        const tags = [].concat(fields.tags).flatMap(value => parseTags(String(value)));
+        normalized.tags = [...new Set(tags)].join(';');
+    }
+
+    for (const name of ['name', 'date']) {
+        if (partial ? normalized[name] === '' : !normalized[name]) {
+            throw new IngestionRequestError(`${name} is required`);
+        }
+    }
+    if (normalized.date && !parseInterviewDate(normalized.date)) {
+        throw new IngestionRequestError('date must be a date such as "December 14, 2002"');
+    }
+    if (normalized.web_url && !/^(https?:\/\/|[\w./-]+$)/i.test(normalized.web_url)) {
+        throw new IngestionRequestError('web_url must be an http(s) URL or a relative path');
+    }
+    return normalized;
+}
+
+// An uploaded file, if it is a PDF
+function checkPdf(file) {
+    if (!file || file.data.length === 0) {
+        throw new IngestionRequestError('A PDF file is required');
+    }
+    if (file.data.slice(0, 5).toString('latin1') !== '%PDF-') {
+        throw new IngestionRequestError(`${file.filename || 'The upload'} is not a PDF`);
+    }
+    return file.data;
+}
+
+class IngestionService {
+    constructor({ searchEngine, llm, dataDir, pdfDir, maxTokens, overlapTokens, log = console }) {
+        this.searchEngine = searchEngine;
+        this.llm = llm;
+        this.dataDir = dataDir || searchEngine.dataDir;
+        this.pdfDir = pdfDir;
+        this.chunker = new TranscriptChunker({ maxTokens, overlapTokens });
+        this.log = log;
+        this.jobs = new Map();
+        // Ids handed out to queued additions that haven't been written yet
+        this.reservedIds = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    get metadataPath() {
+        return path.join(this.dataDir, 'metadata.csv');
+    }
+
+    get embeddingsPath() {
+        return path.join(this.dataDir, 'embeddings.json');
+    }
+
+    get aliasPath() {
+        return path.join(this.dataDir, 'name_aliases.csv');
+    }
+
+    // The files replaceChunks rewrites
+    get chunkFiles() {
+        return [this.embeddingsPath, path.join(this.dataDir, 'embeddings.lexical.json')];
+    }
+
+    /**
+     * Runs `write`, which changes some of `files`, and reloads the search
+     * engine. If either fails, each file is put back as it was (or removed
+     * again if it didn't exist) before the error is rethrown.
+     */
+    async writeAndReload(files, write) {
+        const backups = files.map(filePath => ({
+            filePath,
+            backupPath: fs.existsSync(filePath) ? `${filePath}.bak` : null
+        }));
+        backups.forEach(({ filePath, backupPath }) => {
+            if (backupPath) fs.copyFileSync(filePath, backupPath);
+        });
+        try {
+            write();
+            await this.searchEngine.reload();
+        } catch (error) {
+            backups.forEach(({ filePath, backupPath }) => {
+                if (backupPath) {
+                    fs.renameSync(backupPath, filePath);
+                } else {
+                    fs.rmSync(filePath, { force: true });
+                }
+            });
+            throw error;
+        }
+        backups.forEach(({ backupPath }) => {
+            if (backupPath) fs.rmSync(backupPath, { force: true });
+        });
+    }
+
+    addInterview(fields, file) {
+        const values = normalizeInterviewFields(fields);
+        const pdfData = checkPdf(file);
+        const id = this.nextId();
+        this.reservedIds.add(id);
+        return this.enqueue('add', id, async job => {
+            try {
+                return await this.writeInterview(job, id, values, pdfData);
+            } finally {
+                this.reservedIds.delete(id);
+            }
+        });
+    }
+
+    // New metadata, a new PDF or both; the chunks are only rebuilt for a new PDF
+    updateInterview(id, fields, file) {
+        this.requireInterview(id);
+        const values = normalizeInterviewFields(fields, { partial: true });
+        const pdfData = file ? checkPdf(file) : null;
+        if (Object.keys(values).length === 0 && !pdfData) {
+            throw new IngestionRequestError('Nothing to update: send metadata fields, a PDF or both');
+        }
+        return this.enqueue('update', id, job => this.writeInterview(job, id, values, pdfData));
+    }
+
+    // Chunks and embeds the stored PDF again, e.g. after chunking changed
+    reindexInterview(id) {
+        this.requireInterview(id);
+        return this.enqueue('reindex', id, async job => {
+            const row = this.findRow(this.readMetadataRows(), id);
+            const pdfPath = path.join(this.pdfDir, row.pdf_name);
+            if (!fs.existsSync(pdfPath)) {
+                throw new Error(`${row.pdf_name} is not in ${this.pdfDir}`);
+            }
+            const records = await this.embedPdf(job, fs.readFileSync(pdfPath), row.pdf_name, row.name);
+            await this.writeAndReload(this.chunkFiles, () => this.replaceChunks(row.pdf_name, records));
+            return { chunks: records.length };
+        });
+    }
+
+    deleteInterview(id) {
+        this.requireInterview(id);
+        return this.enqueue('delete', id, async () => {
+            const rows = this.readMetadataRows();
+            const row = this.findRow(rows, id);
+            const pdfPath = path.join(this.pdfDir, row.pdf_name);
+            await this.writeAndReload([...this.chunkFiles, this.metadataPath, this.aliasPath, pdfPath], () => {
+                // Chunks go first: a record without chunks is harmless, chunks
+                // without a record are not
+                this.replaceChunks(row.pdf_name, []);
+                this.writeMetadataRows(rows.filter(other => other !== row));
+                this.removeAliases(id);
+                fs.rmSync(pdfPath, { force: true });
+            });
+            return { chunks: 0 };
+        });
+    }
+
+    getJob(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    listJobs() {
+        return [...this.jobs.values()].reverse();
+    }
+
+    enqueue(type, interviewId, task) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            interviewId,
+            state: 'queued',
+            progress: null,
+            chunks: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        this.pruneJobs();
+        this.queue = this.queue.then(() => this.run(job, task));
+        return job;
+    }
+
+    async run(job, task) {
+        job.state = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            const result = await task(job);
+            job.chunks = result.chunks;
+            job.state = 'succeeded';
+            this.log.log(`Ingestion job ${job.id} (${job.type} interview ${job.interviewId}) succeeded`);
+        } catch (error) {
+            job.state = 'failed';
+            job.error = error.message;
+            this.log.error(`Ingestion job ${job.id} (${job.type} interview ${job.interviewId}) failed:`, error);
+        } finally {
+            job.finishedAt = new Date().toISOString();
+        }
+    }
+
+    pruneJobs() {
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.jobs.delete(job.id));
+    }
+
+    requireInterview(id) {
+        if (!this.searchEngine.metadata.has(String(id))) {
+            throw new IngestionRequestError(`Unknown interview "${id}"`, 404);
+        }
+    }
+
+    nextId() {
+        const ids = [...this.searchEngine.metadata.keys(), ...this.reservedIds]
+            .map(id => parseInt(id, 10))
+            .filter(Number.isInteger);
+        return String(ids.length > 0 ? Math.max(...ids) + 1 : 1);
+    }
+
+    async writeInterview(job, id, values, pdfData) {
+        const rows = this.readMetadataRows();
+        const existing = rows.find(row => row.id === id);
+        if (!existing && job.type !== 'add') {
+            throw new Error(`Interview ${id} was deleted before this job ran`);
+        }
+        const pdfName = existing ? existing.pdf_name : `document${id}.pdf`;
+        const row = {
+            web_url: `frontend/assets/pdfs/${pdfName}`,
+            ...existing,
+            ...values,
+            id,
+            pdf_name: pdfName
+        };
+
+        // Embed before touching any file so a failure changes nothing
+        const records = pdfData ? await this.embedPdf(job, pdfData, pdfName, row.name) : null;
+        const pdfPath = path.join(this.pdfDir, pdfName);
+        const files = [this.metadataPath, ...(records ? [...this.chunkFiles, pdfPath] : [])];
+        await this.writeAndReload(files, () => {
+            if (pdfData) {
+                fs.mkdirSync(this.pdfDir, { recursive: true });
+                writeFileAtomic(pdfPath, pdfData);
+            }
+            this.writeMetadataRows(existing
+                ? rows.map(other => (other === existing ? row : other))
+                : [...rows, row]);
+            if (records) {
+                this.replaceChunks(pdfName, records);
+            }
+        });
+        return { chunks: records ? records.length : null };
+    }
+
+    async embedPdf(job, pdfData, pdfName, narrator) {
+        // Fail before spending embedding calls on a file the server won't load
+        checkEmbeddingModel(readEmbeddingsFile(this.embeddingsPath), this.llm.embeddingModel);
+
+        const { pages } = await readPdfPages(pdfData);
+        const chunks = this.chunker.chunkDocument({ title: pdfName, pages, speakers: narrator ? [narrator] : [] });
+        if (chunks.length === 0) {
+            throw new Error(`${pdfName} has no text to index (a scanned PDF needs OCR first)`);
+        }
+
+        const records = [];
+        for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+            job.progress = `Embedding chunks ${i + 1}-${Math.min(i + EMBEDDING_BATCH_SIZE, chunks.length)} of ${chunks.length}`;
+            const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+            const embeddings = await this.llm.embed(batch.map(chunk => chunk.text));
+            batch.forEach((chunk, j) => records.push(chunkRecord(chunk, embeddings[j])));
+        }
+        job.progress = `Embedded ${records.length} chunks`;
+        return records;
+    }
+
+    // Swaps a document's chunks in embeddings.json (in place, so the order of
+    // the other documents is kept) and rebuilds the lexical index
+    replaceChunks(source, records) {
+        const data = readEmbeddingsFile(this.embeddingsPath);
+        const first = data.chunks.findIndex(chunk => chunk.metadata.source === source);
+        const others = data.chunks.filter(chunk => chunk.metadata.source !== source);
+        const at = first === -1 ? others.length : first;
+        const chunks = [...others.slice(0, at), ...records, ...others.slice(at)];
+
+        writeEmbeddingsFile(this.embeddingsPath, { model: data.model || this.llm.embeddingModel, chunks });
+        const lexicalIndex = LexicalIndex.build(
+            chunks.map(chunk => chunk.text),
+            chunks.map(chunk => chunk.metadata.source)
+        );
+        writeFileAtomic(path.join(this.dataDir, 'embeddings.lexical.json'), JSON.stringify(lexicalIndex.toJSON(), null, 2));
+    }
+
+    readMetadataRows() {
+        return csv.parse(fs.readFileSync(this.metadataPath, 'utf8'), {
+            columns: true,
+            skip_empty_lines: true
+        });
+    }
+
+    findRow(rows, id) {
+        const row = rows.find(other => other.id === id);
+        if (!row) {
+            throw new Error(`Interview ${id} is not in metadata.csv`);
+        }
+        return row;
+    }
+
+    // Keeps any columns besides the standard ones
+    writeMetadataRows(rows) {
+        const columns = [...new Set([...METADATA_COLUMNS, ...rows.flatMap(row => Object.keys(row))])];
+        const lines = [columns.join(','), ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))];
+        writeFileAtomic(this.metadataPath, `${lines.join('\n')}\n`);
+    }
+
+    // Drops name aliases of a deleted interview so a later one can't inherit them
+    removeAliases(id) {
+        const aliasPath = this.aliasPath;
+        if (!fs.existsSync(aliasPath)) return;
+        const rows = csv.parse(fs.readFileSync(aliasPath, 'utf8'), { columns: true, skip_empty_lines: true });
+        const kept = rows.filter(row => row.id !== id);
+        if (kept.length === rows.length) return;
+        const lines = ['id,alias', ...kept.map(row => `${csvValue(row.id)},${csvValue(row.alias)}`)];
+        writeFileAtomic(aliasPath, `${lines.join('\n')}\n`);
+    }
+}
+
+module.exports = {
+    IngestionRequestError,
+    IngestionService,
+    normalizeInterviewFields
+};
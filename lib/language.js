@@ -0,0 +1,159 @@
+// lib/language.js
+//
+// Languages of questions and transcript passages. The archive is mostly
+// English, but some narrators answer partly in Spanish and some
+// participants ask in Spanish. Detection counts common function words,
+// which is enough to tell the two apart in a question or a chunk; text
+// with too few of them (a name, "hi") has no language of its own.
+
+// What the answer format looks like in each language the bots answer in
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        citation: 'From the transcript of Interview #[X] with [Name]:',
+        multipleCitation: 'From the transcript of Interview #[X] with [Name], and Interview #[Z] with [Name]:',
+        followUp: 'Would you like to know more about [specific related topic/person/project]?',
+        noInformation: 'I don\'t find information about this in the interviews',
+        interviewFollowUp: name => `Would you like to know more about ${name}'s interview?`
+    },
+    es: {
+        name: 'Spanish',
+        citation: 'De la transcripción de la Entrevista #[X] con [Nombre]:',
+        multipleCitation: 'De la transcripción de la Entrevista #[X] con [Nombre], y la Entrevista #[Z] con [Nombre]:',
+        followUp: '¿Le gustaría saber más sobre [tema, persona o proyecto relacionado]?',
+        noInformation: 'No encuentro información sobre esto en las entrevistas',
+        interviewFollowUp: name => `¿Le gustaría saber más sobre la entrevista de ${name}?`
+    }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Frequent words of one language that are rare in the other, without accents
+const MARKERS = {
+    en: new Set([
+        'the', 'and', 'of', 'to', 'in', 'that', 'is', 'was', 'it', 'for', 'with', 'as', 'he', 'she',
+        'on', 'i', 'you', 'we', 'they', 'but', 'were', 'what', 'how', 'why', 'who', 'did', 'do',
+        'about', 'from', 'this', 'have', 'had', 'not', 'be', 'at', 'by', 'would', 'when', 'know',
+        'there', 'because', 'people', 'like', 'just', 'think', 'get', 'got', 'which', 'her', 'his'
+    ]),
+    es: new Set([
+        'de', 'la', 'que', 'el', 'en', 'y', 'los', 'las', 'del', 'se', 'por', 'un', 'una', 'para',
+        'con', 'su', 'al', 'lo', 'como', 'mas', 'pero', 'sus', 'le', 'ya', 'fue', 'este', 'esta',
+        'porque', 'muy', 'tambien', 'cuando', 'yo', 'eso', 'hay', 'estaba', 'era', 'nosotros', 'mi',
+        'es', 'pues', 'bueno', 'quien', 'quienes', 'donde', 'cual', 'cuales', 'cuanto', 'hizo',
+        'sobre', 'entre', 'fueron', 'tenia', 'habia', 'gente', 'ellos', 'ella', 'nos', 'les'
+    ])
+};
+// Inverted punctuation only appears in Spanish; each mark counts as two words
+const SPANISH_PUNCTUATION = /[¿¡]/g;
+
+// Marker words needed before a text is given a language
+const MIN_MARKERS = 2;
+// Share of a chunk's marker words a second language needs to be listed
+const MIXED_SHARE = 0.25;
+
+function markerCounts(text) {
+    const counts = { en: 0, es: 0 };
+    const words = (text || '').toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').match(/\p{L}+/gu) || [];
+    for (const word of words) {
+        if (MARKERS.en.has(word)) counts.en++;
+        if (MARKERS.es.has(word)) counts.es++;
+    }
+    counts.es += ((text || '').match(SPANISH_PUNCTUATION) || []).length * 2;
+    return counts;
+}
+
+/**
+ * 'en' or 'es' for text that is clearly in one of them, null when it has
+ * too few common words to tell.
+ */
+function detectLanguage(text) {
+    const counts = markerCounts(text);
+    if (counts.en + counts.es < MIN_MARKERS || counts.en === counts.es) {
+        return null;
+    }
+    return counts.es > counts.en ? 'es' : 'en';
+}
+
+/**
+ * Language metadata for a transcript chunk: { language, languages }, where
+ * `language` is the main language and `languages` also lists a second one
+ * used for a good part of the chunk (a narrator switching to Spanish).
+ * English when the chunk gives no clear signal.
+ */
+function chunkLanguages(text) {
+    const counts = markerCounts(text);
+    const total = counts.en + counts.es;
+    if (total < MIN_MARKERS) {
+        return { language: DEFAULT_LANGUAGE, languages: [DEFAULT_LANGUAGE] };
+    }
+    const [main, other] = counts.es > counts.en ? ['es', 'en'] : ['en', 'es'];
+    return {
+        language: main,
+        languages: counts[other] / total >= MIXED_SHARE ? [main, other] : [main]
+    };
+}
+
+/**
+ * The language to answer a question in: its own when detectable, else the
+ * language of the participant's last question that had one, else English.
+ */
+function questionLanguage(question, history = []) {
+    const own = detectLanguage(question);
+    if (own) return own;
+    const earlier = history
+        .filter(message => message.role === 'user')
+        .map(message => detectLanguage(message.content))
+        .filter(Boolean);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : DEFAULT_LANGUAGE;
+}
+
+function languageName(code) {
+    return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+}
+
+// "[Spanish] " or "[Spanish and English] " before a passage that isn't all English
+function formatLanguageLabel(metadata) {
+    const languages = (metadata && metadata.languages) || [];
+    if (languages.length === 0 || (languages.length === 1 && languages[0] === DEFAULT_LANGUAGE)) {
+        return '';
+    }
+    return `[${languages.map(languageName).join(' and ')}] `;
+}
+
+/**
+ * Prompt instructions for answering in `language` from passages in
+ * `passageLanguages` (every language of every passage); empty for English
+ * answers from English passages, which the bot prompts already describe.
+ */
+function languageInstructions(language, passageLanguages = []) {
+    const lines = [];
+    const format = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    if (language !== DEFAULT_LANGUAGE && LANGUAGES[language]) {
+        lines.push(
+            `- The user writes in ${format.name}. Answer in ${format.name}, including the follow-up question.`,
+            `- Use this format for citations: "${format.citation}"`,
+            `- For multiple sources: "${format.multipleCitation}"`,
+            `- Format the follow-up suggestion as: "${format.followUp}"`,
+            `- If you can't find relevant information, say "${format.noInformation}"`
+        );
+    }
+    if (passageLanguages.some(code => code !== language)) {
+        lines.push(
+            `- Passages labelled with a language, such as [${languageName('es')}], are fully or partly in it; ` +
+            `the others are in ${languageName(DEFAULT_LANGUAGE)}. Translate what you use into ${format.name}, ` +
+            'but cite the interview and page of the original passage.'
+        );
+    }
+    return lines.length > 0 ? `LANGUAGE:\n${lines.join('\n')}` : '';
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    chunkLanguages,
+    questionLanguage,
+    languageName,
+    formatLanguageLabel,
+    languageInstructions
+};
@@ -0,0 +1,149 @@
+// lib/lexicalIndex.js
+//
+// BM25 keyword index over chunk texts. Adjacent content words are also
+// indexed as bigrams ("seize control", "control fda"), so a question quoting
+// a phrase like "Seize Control of the FDA" ranks the chunks containing that
+// exact phrase above chunks that merely mention the same words. Accents
+// are ignored and English and Spanish stopwords dropped.
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 2;
+
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+    'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+    'her', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my',
+    'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+    'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'who', 'why', 'will', 'with', 'would', 'you', 'your',
+    // Spanish, without accents as compared; words that are also English
+    // content words ("son", "sin", "once") stay searchable
+    'algo', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'donde', 'el', 'ella', 'ellos', 'en',
+    'es', 'esa', 'ese', 'eso', 'esta', 'estaba', 'este', 'esto', 'fue', 'hay', 'la', 'las',
+    'le', 'les', 'lo', 'los', 'mas', 'mi', 'muy', 'nos', 'o', 'para', 'pero', 'por', 'porque', 'que',
+    'quien', 'se', 'si', 'sobre', 'su', 'sus', 'tambien', 'un', 'una', 'y', 'ya', 'yo'
+]);
+
+function foldDiacritics(text) {
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+// Unigrams plus bigrams of words that were adjacent once stopwords are dropped
+function tokenize(text) {
+    const words = (foldDiacritics(text.toLowerCase()).match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => !STOPWORDS.has(word));
+    const terms = words.slice();
+    for (let i = 1; i < words.length; i++) {
+        terms.push(`${words[i - 1]} ${words[i]}`);
+    }
+    return terms;
+}
+
+function fingerprintTexts(texts) {
+    const hash = crypto.createHash('sha256');
+    texts.forEach(text => hash.update(text).update('\0'));
+    return hash.digest('hex');
+}
+
+class LexicalIndex {
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.postings = new Map();
+        this.documentLengths = new Uint32Array(0);
+        this.sources = [];
+        this.averageLength = 0;
+        this.fingerprint = null;
+    }
+
+    static build(texts, sources) {
+        const index = new LexicalIndex();
+        index.sources = sources.slice();
+        index.documentLengths = new Uint32Array(texts.length);
+        index.fingerprint = fingerprintTexts(texts);
+
+        texts.forEach((text, docIndex) => {
+            const counts = new Map();
+            const terms = tokenize(text);
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            index.documentLengths[docIndex] = terms.length;
+
+            for (const [term, count] of counts) {
+                if (!index.postings.has(term)) index.postings.set(term, []);
+                index.postings.get(term).push(docIndex, count);
+            }
+        });
+
+        const total = index.documentLengths.reduce((sum, length) => sum + length, 0);
+        index.averageLength = texts.length > 0 ? total / texts.length : 0;
+        return index;
+    }
+
+    static fromJSON(data) {
+        if (data.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported lexical index version ${data.version}`);
+        }
+        const index = new LexicalIndex(data.params);
+        index.sources = data.sources;
+        index.documentLengths = Uint32Array.from(data.documentLengths);
+        index.averageLength = data.averageLength;
+        index.fingerprint = data.fingerprint;
+        index.postings = new Map(Object.entries(data.postings));
+        return index;
+    }
+
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            params: { k1: this.k1, b: this.b },
+            fingerprint: this.fingerprint,
+            sources: this.sources,
+            documentLengths: Array.from(this.documentLengths),
+            averageLength: this.averageLength,
+            postings: Object.fromEntries(this.postings)
+        };
+    }
+
+    // True when this index was built from exactly these chunk texts
+    matches(texts) {
+        return this.fingerprint === fingerprintTexts(texts);
+    }
+
+    get size() {
+        return this.documentLengths.length;
+    }
+
+    search(query, { k = 5, sources = null } = {}) {
+        const allowed = sources ? new Set(sources) : null;
+        const scores = new Map();
+        const count = this.documentLengths.length;
+
+        for (const term of new Set(tokenize(query))) {
+            const postings = this.postings.get(term);
+            if (!postings) continue;
+
+            const documentFrequency = postings.length / 2;
+            const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            for (let i = 0; i < postings.length; i += 2) {
+                const docIndex = postings[i];
+                if (allowed && !allowed.has(this.sources[docIndex])) continue;
+
+                const tf = postings[i + 1];
+                const lengthRatio = this.averageLength > 0 ? this.documentLengths[docIndex] / this.averageLength : 1;
+                const score = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * lengthRatio));
+                scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+            }
+        }
+
+        return [...scores]
+            .map(([index, score]) => ({ index, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
+
+module.exports = {
+    LexicalIndex,
+    tokenize,
+    foldDiacritics
+};
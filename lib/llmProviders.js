@@ -0,0 +1,244 @@
+// lib/llmProviders.js
+//
+// Backends for embeddings and chat completions. Every provider implements
+//
+//   async embed(texts)               texts: string[] -> number[][]
+//   async complete(request, opts)    -> { text, model, usage, finishReason }
+//   stream(request)                  -> async iterable of { text, model, usage, finishReason }
+//
+// where `request` takes the OpenAI chat parameters (model, messages,
+// temperature, max_tokens, top_p, penalties, response_format), `opts` may set
+// a per-call `timeout` in ms, and `usage` is { prompt_tokens,
+// completion_tokens, total_tokens } or null. Streamed parts carry text as it
+// is generated; usage, when the backend reports it, comes with the last one.
+// `finishReason` is the backend's reason for stopping ("stop", or "length"
+// when max_tokens cut the answer off) or null; streams report it once.
+// `embeddingModel` names the model behind embed(), which the embeddings file
+// records so queries are never embedded with a different model than the index.
+const OpenAI = require('openai');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// The OpenAI API, or any server that speaks it when given a baseURL
+class OpenAIProvider {
+    constructor({
+        apiKey,
+        baseURL,
+        embeddingModel = DEFAULT_EMBEDDING_MODEL,
+        chatModel = null,
+        timeout = 30000,
+        maxRetries = 2,
+        streamUsage = true
+    } = {}) {
+        this.name = 'openai';
+        this.embeddingModel = embeddingModel;
+        // Replaces the model bots ask for, e.g. to compare models
+        this.chatModel = chatModel;
+        this.streamUsage = streamUsage;
+        this.configured = Boolean(apiKey);
+        // The client retries connection errors, 408, 409, 429 and 5xx responses with backoff
+        this.client = new OpenAI({ apiKey, baseURL, timeout, maxRetries });
+    }
+
+    async embed(texts) {
+        const response = await this.client.embeddings.create({
+            model: this.embeddingModel,
+            input: texts
+        });
+        return response.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    async complete(request, { timeout } = {}) {
+        const completion = await this.client.chat.completions.create(
+            { ...request, model: this.chatModel || request.model },
+            timeout ? { timeout } : undefined
+        );
+        return {
+            text: completion.choices[0].message.content,
+            model: completion.model,
+            usage: completion.usage || null,
+            finishReason: completion.choices[0].finish_reason || null
+        };
+    }
+
+    async *stream(request) {
+        const stream = await this.client.chat.completions.create({
+            ...request,
+            model: this.chatModel || request.model,
+            stream: true,
+            ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+        });
+        for await (const chunk of stream) {
+            // The last chunk carries token usage and no choices
+            const choice = chunk.choices[0];
+            const delta = choice && choice.delta && choice.delta.content;
+            yield {
+                text: delta || '',
+                model: chunk.model || null,
+                usage: chunk.usage || null,
+                finishReason: (choice && choice.finish_reason) || null
+            };
+        }
+    }
+}
+
+/**
+ * Local servers with an OpenAI-style API (vLLM, Ollama, llama.cpp, LM
+ * Studio). They usually need no key, serve models under their own names (so
+ * set CHAT_MODEL and EMBEDDING_MODEL) and may not report usage while streaming.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor({ baseURL, apiKey, streamUsage = false, ...options } = {}) {
+        if (!baseURL) {
+            throw new Error('The openai-compatible provider needs LLM_BASE_URL');
+        }
+        super({ ...options, baseURL, apiKey: apiKey || 'not-needed', streamUsage });
+        this.name = 'openai-compatible';
+        this.configured = true;
+    }
+}
+
+const LOCAL_MODEL = /^local-hash-(\d+)$/;
+
+function words(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// FNV-1a, so the same word always lands in the same dimension
+function hashWord(word) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+        hash ^= word.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Deterministic offline stand-in for tests and development without network
+ * access. Embeddings are hashed bags of words; answers are templates, not
+ * generated text: a prompt with interview passages gets an answer quoting
+ * the first one, a bot prompt without passages gets the no-information
+ * answer (both in the citation format of the language the prompt asks
+ * for), a JSON request gets "{}", and anything else gets the last line of
+ * the user's message back without its "Label:" prefix (so rewrite and
+ * translation requests return the question unchanged).
+ */
+class LocalProvider {
+    constructor({ embeddingModel = 'local-hash-256' } = {}) {
+        const match = LOCAL_MODEL.exec(embeddingModel);
+        if (!match) {
+            throw new Error(`The local provider embeds with local-hash-<dimensions> models, not "${embeddingModel}"`);
+        }
+        this.name = 'local';
+        this.embeddingModel = embeddingModel;
+        this.dimensions = parseInt(match[1], 10);
+        this.configured = true;
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(this.dimensions).fill(0);
+            const tokens = words(text);
+            tokens.forEach(word => { vector[hashWord(word) % this.dimensions] += 1; });
+            if (tokens.length === 0) vector[0] = 1;
+            return vector;
+        });
+    }
+
+    async complete(request) {
+        const text = this.answer(request);
+        const promptTokens = request.messages.reduce((sum, message) => sum + words(message.content).length, 0);
+        const completionTokens = words(text).length;
+        return {
+            text,
+            model: 'local-template',
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+            finishReason: 'stop'
+        };
+    }
+
+    async *stream(request) {
+        const { text, model, usage, finishReason } = await this.complete(request);
+        const parts = text.match(/\S+\s*/g) || [];
+        for (const part of parts) {
+            yield { text: part, model, usage: null, finishReason: null };
+        }
+        yield { text: '', model, usage, finishReason };
+    }
+
+    answer(request) {
+        if (request.response_format && request.response_format.type === 'json_object') {
+            return '{}';
+        }
+        const system = request.messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+        const format = Object.values(LANGUAGES)
+            .find(language => language !== LANGUAGES[DEFAULT_LANGUAGE] && system.includes(language.citation)) ||
+            LANGUAGES[DEFAULT_LANGUAGE];
+        // Passages follow their page and language labels
+        const interview = /^Interview (\S+) with (.+?) \([^)]*\)[^\n]*:\n(?:\[[^\]\n]*\] )*([^\n]+)/m.exec(system);
+        if (interview) {
+            const [, id, name, passage] = interview;
+            const sentence = (passage.match(/^.*?[.!?](?=\s|$)/) || [passage])[0].trim();
+            const citation = format.citation.replace('#[X]', `#${id}`).replace(/\[[^\]]+\](?=:$)/, name);
+            return `${citation} ${sentence}\n\n${format.interviewFollowUp(name)}`;
+        }
+        if (system.includes('From the transcript of Interview')) {
+            // A bot prompt that found no passages
+            return `${format.noInformation}.`;
+        }
+        const lines = lastUserMessage(request).trim().split('\n');
+        return lines[lines.length - 1].replace(/^[\w ]{1,20}:\s*/, '');
+    }
+}
+
+function lastUserMessage(request) {
+    const users = request.messages.filter(message => message.role === 'user');
+    return users.length > 0 ? users[users.length - 1].content : '';
+}
+
+function createProvider(type, options = {}) {
+    switch (type || 'openai') {
+        case 'openai':
+            return new OpenAIProvider(options);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(options);
+        case 'local':
+            return new LocalProvider({ embeddingModel: options.embeddingModel || undefined });
+        default:
+            throw new Error(`Unknown LLM provider "${type}" (expected openai, openai-compatible or local)`);
+    }
+}
+
+/**
+ * The provider configured in the environment:
+ *   LLM_PROVIDER      openai (default), openai-compatible or local
+ *   LLM_BASE_URL      server URL for openai-compatible
+ *   LLM_API_KEY       key, falling back to OPENAI_API_KEY
+ *   EMBEDDING_MODEL   model embedding queries and chunks
+ *   CHAT_MODEL        replaces the model in bot profiles
+ *   OPENAI_TIMEOUT_MS, OPENAI_MAX_RETRIES
+ */
+function createProviderFromEnv(env = process.env, overrides = {}) {
+    return createProvider(env.LLM_PROVIDER, {
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        embeddingModel: env.EMBEDDING_MODEL || undefined,
+        chatModel: env.CHAT_MODEL || null,
+        timeout: parseInt(env.OPENAI_TIMEOUT_MS, 10) || 30000,
+        maxRetries: env.OPENAI_MAX_RETRIES !== undefined ? parseInt(env.OPENAI_MAX_RETRIES, 10) : 2,
+        ...overrides
+    });
+}
+
+module.exports = {
+    DEFAULT_EMBEDDING_MODEL,
+    OpenAIProvider,
+    OpenAICompatibleProvider,
+    LocalProvider,
+    createProvider,
+    createProviderFromEnv
+};
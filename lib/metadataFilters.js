@@ -0,0 +1,139 @@
+// lib/metadataFilters.js
+//
+// Helpers for the tags/date columns of metadata.csv: parsing them, spotting
+// tags and interview years mentioned in a question, and validating the
+// `filters` object accepted by /api/chat.
+
+class FilterValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterValidationError';
+    }
+}
+
+function parseTags(tags) {
+    return (tags || '')
+        .split(';')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+}
+
+// "December 14, 2002" -> Date (UTC midnight), or null when unparseable
+function parseInterviewDate(date) {
+    const timestamp = Date.parse(`${date} UTC`);
+    return Number.isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+// Lowercase, strip accents, "&" -> "and", punctuation -> spaces
+function normalizePhrase(text) {
+    return ` ${text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()} `;
+}
+
+// Tags from `tags` that appear as whole phrases in the text
+function findTagsInText(text, tags) {
+    const normalizedText = normalizePhrase(text);
+    return tags.filter(tag => normalizedText.includes(normalizePhrase(tag)));
+}
+
+// Years the question asks about as interview dates ("interviews from 2003",
+// "interviewed in 2002", "2003 interviews", "entrevistas de 2003"). A bare
+// year usually refers to events, so it is not treated as a date filter.
+function findInterviewYears(text) {
+    const years = new Set();
+    const patterns = [
+        /\b(?:interview(?:s|ed)?|entrevistad?[oa]?s?)\b[^.?!]{0,30}?\b((?:19|20)\d{2})\b/gi,
+        /\b((?:19|20)\d{2})\s+interviews?\b/gi
+    ];
+    for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+            years.add(parseInt(match[1], 10));
+        }
+    }
+    return [...years];
+}
+
+function parseFilterDate(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+        throw new FilterValidationError(`filters.${field} must be a date string such as "2003-01-31"`);
+    }
+    return date;
+}
+
+/**
+ * Validates the optional `filters` request field:
+ *   { tags: string[], dateFrom: string, dateTo: string, interviews: string[] }
+ * Returns null when no filter is set.
+ */
+function normalizeFilters(filters) {
+    if (filters === undefined || filters === null) {
+        return null;
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new FilterValidationError('filters must be an object');
+    }
+
+    const list = (value, field) => {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string' || typeof item === 'number')) {
+            throw new FilterValidationError(`filters.${field} must be an array of strings`);
+        }
+        return value.map(item => String(item).trim()).filter(Boolean);
+    };
+
+    const normalized = {
+        tags: list(filters.tags, 'tags'),
+        interviews: list(filters.interviews, 'interviews'),
+        dateFrom: parseFilterDate(filters.dateFrom, 'dateFrom'),
+        dateTo: parseFilterDate(filters.dateTo, 'dateTo')
+    };
+    if (normalized.dateFrom && normalized.dateTo && normalized.dateFrom > normalized.dateTo) {
+        throw new FilterValidationError('filters.dateFrom must not be after filters.dateTo');
+    }
+
+    const empty = normalized.tags.length === 0 && normalized.interviews.length === 0 &&
+        !normalized.dateFrom && !normalized.dateTo;
+    return empty ? null : normalized;
+}
+
+// Whether a parsed metadata record passes explicit filters. Tags match if the
+// interview has any of them (case-insensitive); every other field must hold.
+function matchesFilters(id, record, filters) {
+    if (!filters) return true;
+
+    if (filters.interviews.length > 0 && !filters.interviews.includes(id)) {
+        return false;
+    }
+    if (filters.tags.length > 0) {
+        const wanted = new Set(filters.tags.map(tag => normalizePhrase(tag)));
+        if (!record.tagList.some(tag => wanted.has(normalizePhrase(tag)))) {
+            return false;
+        }
+    }
+    if (filters.dateFrom || filters.dateTo) {
+        if (!record.dateValue) return false;
+        if (filters.dateFrom && record.dateValue < filters.dateFrom) return false;
+        if (filters.dateTo && record.dateValue > filters.dateTo) return false;
+    }
+    return true;
+}
+
+module.exports = {
+    FilterValidationError,
+    parseTags,
+    parseInterviewDate,
+    normalizePhrase,
+    findTagsInText,
+    findInterviewYears,
+    normalizeFilters,
+    matchesFilters
+};
@@ -0,0 +1,136 @@
+// lib/migrator.js
+//
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js and exports async up(client) and down(client). Applied
+// versions are recorded in schema_migrations; every migration runs in its
+// own transaction, and a Postgres advisory lock keeps two instances starting
+// at once from migrating concurrently.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary constant identifying this app's migration lock
+const LOCK_KEY = 7341029;
+
+class Migrator {
+    constructor({ pool, directory, table = 'schema_migrations', log = console.log }) {
+        this.pool = pool;
+        this.directory = directory;
+        this.table = table;
+        this.log = log;
+    }
+
+    // Migrations on disk, oldest first
+    list() {
+        return fs.readdirSync(this.directory)
+            .map(file => {
+                const match = MIGRATION_FILE.exec(file);
+                return match && { version: parseInt(match[1], 10), name: match[2], file };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.version - b.version)
+            .map((migration, i, all) => {
+                if (i > 0 && all[i - 1].version === migration.version) {
+                    throw new Error(`Two migrations share version ${migration.version}`);
+                }
+                return migration;
+            });
+    }
+
+    load(migration) {
+        const definition = require(path.join(this.directory, migration.file));
+        if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+            throw new Error(`Migration ${migration.file} must export up() and down()`);
+        }
+        return definition;
+    }
+
+    // Every migration with whether it has been applied
+    async status() {
+        return this.withLock(async client => {
+            const applied = await this.appliedVersions(client);
+            return this.list().map(migration => ({ ...migration, applied: applied.has(migration.version) }));
+        });
+    }
+
+    /**
+     * Applies pending migrations in order, up to and including `to` when
+     * given. Returns the migrations that were applied.
+     */
+    async up({ to = Infinity } = {}) {
+        return this.withLock(async client => {
+            const applied = await this.appliedVersions(client);
+            const pending = this.list().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+            for (const migration of pending) {
+                await this.run(client, migration, 'up');
+            }
+            return pending;
+        });
+    }
+
+    // Reverts the `steps` most recently applied migrations
+    async down({ steps = 1 } = {}) {
+        return this.withLock(async client => {
+            const applied = await this.appliedVersions(client);
+            const reverting = this.list()
+                .filter(migration => applied.has(migration.version))
+                .reverse()
+                .slice(0, steps);
+
+            for (const migration of reverting) {
+                await this.run(client, migration, 'down');
+            }
+            return reverting;
+        });
+    }
+
+    async run(client, migration, direction) {
+        const definition = this.load(migration);
+        this.log(`Migration ${migration.version} ${migration.name}: ${direction}`);
+        try {
+            await client.query('BEGIN');
+            await definition[direction](client);
+            if (direction === 'up') {
+                await client.query(`INSERT INTO ${this.table} (version, name) VALUES ($1, $2)`, [migration.version, migration.name]);
+            } else {
+                await client.query(`DELETE FROM ${this.table} WHERE version = $1`, [migration.version]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw new Error(`Migration ${migration.file} failed (${direction}): ${error.message}`);
+        }
+    }
+
+    async appliedVersions(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ${this.table} (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        const result = await client.query(`SELECT version FROM ${this.table}`);
+        return new Set(result.rows.map(row => Number(row.version)));
+    }
+
+    async withLock(callback) {
+        const client = await this.pool.connect();
+        try {
+            await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+            try {
+                return await callback(client);
+            } finally {
+                await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+            }
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = {
+    Migrator
+};
@@ -0,0 +1,94 @@
+// lib/multipartForm.js
+//
+// Parses multipart/form-data bodies (as read by express.raw) into text
+// fields and uploaded files. Enough for the admin upload form: whole parts
+// in memory, no nested multipart, no transfer encodings.
+
+class MultipartError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MultipartError';
+    }
+}
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+function boundaryOf(contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!/^multipart\/form-data/i.test(contentType || '') || !match) {
+        throw new MultipartError('Expected a multipart/form-data body with a boundary');
+    }
+    return match[1] || match[2];
+}
+
+function parseHeaders(text) {
+    const headers = {};
+    text.split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+    return headers;
+}
+
+// name="x" / filename="y" parameters of a Content-Disposition header
+function dispositionParam(disposition, param) {
+    const match = new RegExp(`(?:^|;)\\s*${param}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition);
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * body: Buffer, contentType: the request's Content-Type header.
+ * Returns { fields, files }: fields maps names to strings (arrays when a
+ * name repeats), files maps names to { filename, contentType, data }.
+ */
+function parseMultipartForm(body, contentType) {
+    if (!Buffer.isBuffer(body)) {
+        throw new MultipartError('Expected a multipart/form-data body');
+    }
+    const delimiter = Buffer.from(`--${boundaryOf(contentType)}`);
+    const fields = {};
+    const files = {};
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new MultipartError('Multipart body has no parts');
+    }
+    for (;;) {
+        position += delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body.slice(position, position + 2).toString() === '--') break;
+        const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), position);
+        if (next === -1) {
+            throw new MultipartError('Multipart body is truncated');
+        }
+
+        const part = body.slice(position + 2, next);
+        const headerEnd = part.indexOf(HEADER_END);
+        if (headerEnd === -1) {
+            throw new MultipartError('Multipart part has no headers');
+        }
+        const headers = parseHeaders(part.slice(0, headerEnd).toString('utf8'));
+        const data = part.slice(headerEnd + HEADER_END.length);
+        const disposition = headers['content-disposition'] || '';
+        const name = dispositionParam(disposition, 'name');
+        const filename = dispositionParam(disposition, 'filename');
+
+        if (name !== null) {
+            if (filename !== null) {
+                files[name] = { filename, contentType: headers['content-type'] || null, data };
+            } else {
+                const value = data.toString('utf8');
+                fields[name] = name in fields ? [].concat(fields[name], value) : value;
+            }
+        }
+        position = next + 2;
+    }
+    return { fields, files };
+}
+
+module.exports = {
+    MultipartError,
+    parseMultipartForm
+};
@@ -0,0 +1,213 @@
+// lib/nameResolver.js
+//
+// Finds the narrators a question refers to. Names are compared word by word
+// after folding accents and dropping possessives, so "Moises", "Moisés" and
+// "Moisés's" all resolve to the same record, while "mark" inside "remarkable"
+// or "bill" in "the bill passed" do not.
+
+// Name parts that are also everyday words; as a lone word they only count
+// when capitalised in the question ("Bill" but not "the bill")
+const COMMON_WORDS = new Set([
+    'mark', 'bill', 'snow', 'moore', 'rick', 'jean', 'ann', 'lei', 'ma', 'chou', 'will', 'may', 'rose', 'grant'
+]);
+
+// Evidence strength for each kind of match
+const CONFIDENCE = {
+    full: 1,
+    alias: 0.95,
+    surname: 0.85,
+    given: 0.6,
+    fuzzy: 0.5
+};
+
+function foldName(text) {
+    return text
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/['’]/g, '');
+}
+
+// Words of the text with possessives removed ("Karl's" -> "Karl", "Jean’s" -> "Jean").
+// Hyphenated names are split so "Vazquez-Pacheco" is two words.
+function tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(/[\p{L}\p{M}\p{N}]+(?:['’][\p{L}\p{M}]+)*/gu)) {
+        const raw = match[0].replace(/['’]s$/iu, '');
+        tokens.push({ raw, norm: foldName(raw) });
+    }
+    return tokens;
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function editDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+class NameResolver {
+    /**
+     * @param {Array<{id: string, record: object}>} people   one entry per interview
+     * @param {Object<string, string[]>} aliases             extra spellings by record id
+     */
+    constructor(people, aliases = {}) {
+        this.people = people;
+        this.phrases = [];           // multi-word names and aliases: { tokens, id, kind }
+        this.parts = new Map();      // single word -> [{ id, kind }]
+
+        for (const { id, record } of people) {
+            const words = tokenize(record.name).map(token => token.norm);
+            this.phrases.push({ tokens: words, id, kind: 'full' });
+
+            for (const alias of aliases[id] || []) {
+                const aliasWords = tokenize(alias).map(token => token.norm);
+                if (aliasWords.length > 1) {
+                    this.phrases.push({ tokens: aliasWords, id, kind: 'alias' });
+                } else if (aliasWords.length === 1) {
+                    this.addPart(aliasWords[0], id, 'alias');
+                }
+            }
+
+            // Single words need at least three letters to count on their own
+            words.forEach((word, i) => {
+                if (word.length < 3) return;
+                this.addPart(word, id, i === 0 && words.length > 1 ? 'given' : 'surname');
+            });
+        }
+
+        // Longest phrases first so "Robert Vazquez-Pacheco" wins over "Robert Vazquez"
+        this.phrases.sort((a, b) => b.tokens.length - a.tokens.length);
+    }
+
+    addPart(word, id, kind) {
+        if (!this.parts.has(word)) this.parts.set(word, []);
+        const entries = this.parts.get(word);
+        if (!entries.some(entry => entry.id === id && entry.kind === kind)) {
+            entries.push({ id, kind });
+        }
+    }
+
+    /**
+     * Returns the people mentioned in `text`, best evidence first, plus the
+     * words that could mean more than one narrator. `preferIds` (e.g. people
+     * discussed earlier in the conversation) break ties between narrators who
+     * share a name part.
+     *
+     * @returns {{ matches: Array<{id, record, confidence, kind, matchedText}>,
+     *             ambiguous: Array<{ text, candidates: Array<{id, record}> }> }}
+     */
+    resolve(text, { preferIds = [] } = {}) {
+        const tokens = tokenize(text);
+        const consumed = new Array(tokens.length).fill(false);
+        const evidence = new Map();
+        const ambiguous = [];
+
+        const addEvidence = (id, kind, matchedText, confidence = CONFIDENCE[kind]) => {
+            const current = evidence.get(id);
+            if (!current || confidence > current.confidence) {
+                evidence.set(id, { id, kind, matchedText, confidence });
+            }
+        };
+
+        // 1. Full names and multi-word aliases
+        for (const phrase of this.phrases) {
+            for (let i = 0; i + phrase.tokens.length <= tokens.length; i++) {
+                const span = tokens.slice(i, i + phrase.tokens.length);
+                if (span.some((token, j) => consumed[i + j] || token.norm !== phrase.tokens[j])) continue;
+                span.forEach((_, j) => { consumed[i + j] = true; });
+                addEvidence(phrase.id, phrase.kind, span.map(token => token.raw).join(' '));
+            }
+        }
+
+        // 2. Single name parts, exact or with a typo
+        tokens.forEach((token, i) => {
+            if (consumed[i]) return;
+
+            let candidates = this.parts.get(token.norm) || [];
+            let fuzzy = false;
+            if (candidates.length === 0) {
+                candidates = this.fuzzyCandidates(token.norm);
+                fuzzy = candidates.length > 0;
+            }
+            if (candidates.length === 0) return;
+
+            const capitalised = /^\p{Lu}/u.test(token.raw);
+            if (COMMON_WORDS.has(token.norm) && !capitalised) return;
+
+            const ids = [...new Set(candidates.map(candidate => candidate.id))];
+            const resolvedId = this.pickCandidate(ids, evidence, preferIds);
+            if (!resolvedId) {
+                ambiguous.push({
+                    text: token.raw,
+                    candidates: ids.map(id => ({ id, record: this.recordFor(id) }))
+                });
+                return;
+            }
+
+            const candidate = candidates.find(entry => entry.id === resolvedId);
+            const kind = fuzzy ? 'fuzzy' : candidate.kind;
+            addEvidence(resolvedId, kind, token.raw);
+        });
+
+        const matches = [...evidence.values()]
+            .sort((a, b) => b.confidence - a.confidence)
+            .map(match => ({ ...match, record: this.recordFor(match.id) }));
+
+        return { matches, ambiguous };
+    }
+
+    // A shared name part resolves to the one candidate that already has other
+    // evidence in the question, or else the one discussed most recently.
+    pickCandidate(ids, evidence, preferIds) {
+        if (ids.length === 1) return ids[0];
+
+        const withEvidence = ids.filter(id => evidence.has(id));
+        if (withEvidence.length === 1) return withEvidence[0];
+
+        for (const id of preferIds) {
+            if (ids.includes(id)) return id;
+        }
+        return null;
+    }
+
+    fuzzyCandidates(word) {
+        if (word.length < 6) return [];
+        const maxDistance = word.length >= 9 ? 2 : 1;
+        const candidates = [];
+        for (const [part, entries] of this.parts) {
+            if (part.length < 5 || Math.abs(part.length - word.length) > maxDistance) continue;
+            if (editDistance(word, part) <= maxDistance) {
+                candidates.push(...entries);
+            }
+        }
+        return candidates;
+    }
+
+    recordFor(id) {
+        const person = this.people.find(entry => entry.id === id);
+        return person ? person.record : null;
+    }
+}
+
+module.exports = {
+    NameResolver,
+    foldName,
+    editDistance
+};
@@ -0,0 +1,45 @@
+// lib/pdfText.js
+//
+// Page-by-page text of a transcript PDF, used by scripts/generateEmbeddings.js
+// and the admin ingestion jobs.
+const pdf = require('pdf-parse');
+
+// Same text extraction as pdf-parse's default page renderer, so chunk text
+// matches what the flattened pdfData.text used to contain.
+function renderPage(pageData) {
+    return pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    }).then(textContent => {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            if (lastY == item.transform[5] || !lastY) {
+                text += item.str;
+            } else {
+                text += '\n' + item.str;
+            }
+            lastY = item.transform[5];
+        }
+        return text;
+    });
+}
+
+// PDF contents -> { pages: [pageText, ...], numPages }
+async function readPdfPages(dataBuffer) {
+    const pages = [];
+    const pdfData = await pdf(dataBuffer, {
+        pagerender: pageData => renderPage(pageData).then(text => {
+            pages[pageData.pageNumber - 1] = text;
+            return text;
+        })
+    });
+    return {
+        pages: Array.from(pages, page => page || ''),
+        numPages: pdfData.numpages
+    };
+}
+
+module.exports = {
+    readPdfPages
+};
@@ -0,0 +1,176 @@
+// lib/queryRewriter.js
+//
+// Turns a follow-up question into one that stands on its own ("why did she
+// leave?" -> "Why did Jean Carlomusto leave ACT UP?") so retrieval searches
+// for what the user means rather than for the previous answers. The chat
+// model does the rewriting; when it is unavailable a rule-based fallback
+// substitutes the narrator discussed most recently for pronouns. The same
+// model translates questions for cross-lingual retrieval.
+
+// Words that only make sense with earlier turns in mind, in English and Spanish
+const REFERENCE_WORDS = /(?<![\p{L}])(he|she|they|him|her|hers|his|them|their|theirs|it|its|that|this|those|these|there|then|later|else|again|also|more|él|ella|ellos|ellas|su|sus|eso|esto|esa|ese|allí|allá|entonces|después|también|más)(?![\p{L}])/iu;
+const ELLIPTICAL_START = /^[¿¡]?(and|but|so|also|what about|how about|why|why not|how come|really|y|pero|entonces|también|y qué|qué tal|por qué|por qué no|cómo así|de verdad)(?![\p{L}])/iu;
+
+const OBJECT_FOLLOWERS = /^\s+(and|or|to|in|on|at|for|about|from|with|when|after|before|because)$/i;
+
+// Answers end with a suggested follow-up; it says nothing about the question
+const FOLLOW_UP_SUGGESTION = /\s*(?:Would you like to know|¿(?:Te|Le|Les) gustaría saber)[^?]*\?\s*$/i;
+
+const MAX_ANSWER_CHARS = 400;
+
+function wordCount(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).length;
+}
+
+// Whether the question may depend on earlier turns
+function isFollowUp(question) {
+    const text = question.trim();
+    return REFERENCE_WORDS.test(text) || ELLIPTICAL_START.test(text) || wordCount(text) <= 4;
+}
+
+class QueryRewriter {
+    constructor({ llm, model = 'gpt-4o-mini', useLlm = true, timeoutMs = 8000 }) {
+        this.llm = llm;
+        this.model = model;
+        this.useLlm = useLlm;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * @param {string} question
+     * @param {Array<{role, content}>} history   earlier messages, oldest first
+     * @param {object} options
+     * @param {string[]} options.recentNames      narrators discussed, most recent first
+     * @param {boolean} options.namesInQuestion   whether the question names someone itself
+     * @param {TurnUsage} [options.usage]          records the model call (lib/usageBudget.js)
+     * @returns {Promise<{ query: string, method: 'unchanged'|'llm'|'rules' }>}
+     */
+    async rewrite(question, history, { recentNames = [], namesInQuestion = false, usage = null } = {}) {
+        if (history.length === 0 || !isFollowUp(question)) {
+            return { query: question, method: 'unchanged' };
+        }
+
+        if (this.useLlm) {
+            try {
+                const query = await this.rewriteWithLlm(question, history, usage);
+                if (query) {
+                    return { query, method: query === question ? 'unchanged' : 'llm' };
+                }
+            } catch (error) {
+                console.error('Query rewriting failed, using rules instead:', error.message);
+            }
+        }
+
+        const query = this.rewriteWithRules(question, history, recentNames, namesInQuestion);
+        return { query, method: query === question ? 'unchanged' : 'rules' };
+    }
+
+    async rewriteWithLlm(question, history, usage = null) {
+        const conversation = history.slice(-6)
+            .map(message => {
+                if (message.role === 'user') {
+                    return `User: ${message.content}`;
+                }
+                const answer = message.content.replace(FOLLOW_UP_SUGGESTION, '');
+                return `Assistant: ${answer.substring(0, MAX_ANSWER_CHARS)}`;
+            })
+            .join('\n');
+
+        const completion = await this.llm.complete({
+            model: this.model,
+            temperature: 0,
+            max_tokens: 100,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Rewrite the last question of a conversation about oral history interviews ' +
+                        'as a standalone question. Replace pronouns and references with the people, ' +
+                        'groups and events they refer to. Do not answer it and do not add new topics. ' +
+                        'Keep it in the language it was asked in. ' +
+                        'If it already stands on its own, return it unchanged. Reply with the question only.'
+                },
+                {
+                    role: 'user',
+                    content: `Conversation:\n${conversation}\n\nLast question: ${question}`
+                }
+            ]
+        }, { timeout: this.timeoutMs });
+        if (usage) usage.addCompletion(completion);
+
+        return completion.text.trim().replace(/^"|"$/g, '');
+    }
+
+    /**
+     * The question in another language (a language name such as "English"),
+     * so retrieval can match passages in that language by keyword too. Null
+     * when model calls are turned off or fail: the multilingual embeddings
+     * still find such passages, only less reliably. `usage` (a TurnUsage)
+     * records the model call.
+     */
+    async translate(question, language, usage = null) {
+        if (!this.useLlm) {
+            return null;
+        }
+        try {
+            const completion = await this.llm.complete({
+                model: this.model,
+                temperature: 0,
+                max_tokens: 100,
+                messages: [
+                    {
+                        role: 'system',
+                        content: `Translate the question about oral history interviews into ${language}. ` +
+                            'Keep the names of people, groups, places and events as they are. ' +
+                            'Do not answer it. Reply with the translation only.'
+                    },
+                    { role: 'user', content: question }
+                ]
+            }, { timeout: this.timeoutMs });
+            if (usage) usage.addCompletion(completion);
+            return completion.text.trim().replace(/^"|"$/g, '') || null;
+        } catch (error) {
+            console.error(`Translating the question into ${language} failed:`, error.message);
+            return null;
+        }
+    }
+
+    // Deterministic rewriting from the user's own earlier questions only
+    rewriteWithRules(question, history, recentNames, namesInQuestion) {
+        // The last question that stood on its own carries the subject of the follow-ups after it
+        const previousQuestion = [...history].reverse()
+            .find(message => message.role === 'user' && !isFollowUp(message.content));
+        let query = question.trim();
+
+        const name = !namesInQuestion && recentNames[0];
+        if (name) {
+            let replaced = false;
+            query = query.replace(/\b(he|she|they|him|them|his|their|her)\b(\s+\p{L}+)?/iu, (match, pronoun, next = '') => {
+                replaced = true;
+                const lower = pronoun.toLowerCase();
+                // "her" is possessive when a noun follows ("her videos"), not a preposition ("to her about")
+                const possessive = lower === 'his' || lower === 'their' ||
+                    (lower === 'her' && next !== '' && !OBJECT_FOLLOWERS.test(next));
+                return `${name}${possessive ? "'s" : ''}${next}`;
+            });
+            if (replaced) {
+                return query;
+            }
+        }
+
+        // Elliptical follow-ups ("And later?", "What about the FDA?") keep the earlier question's subject
+        if (ELLIPTICAL_START.test(query) || wordCount(query) <= 4) {
+            if (previousQuestion) {
+                return `${previousQuestion.content.trim()} ${query}`;
+            }
+            if (name) {
+                return `${query} (${name})`;
+            }
+        }
+        return query;
+    }
+}
+
+module.exports = {
+    QueryRewriter,
+    isFollowUp
+};
@@ -0,0 +1,69 @@
+// lib/rateLimiter.js
+//
+// In-memory sliding-window rate limits for chat requests, kept per
+// participant, session or IP address. Limits are per server instance and
+// reset on restart.
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+// Drop idle keys every this many requests so the maps don't grow forever
+const SWEEP_INTERVAL = 1000;
+
+/**
+ * "20/10m" -> { limit: 20, windowMs: 600000 }: at most 20 requests in any
+ * 10 minutes. Units are s, m, h and d; "30/m" means per minute. An empty
+ * value, "0" or "off" disables the limit (null).
+ */
+function parseRateLimit(spec, name = 'rate limit') {
+    if (spec === undefined || spec === null || ['', '0', 'off'].includes(String(spec).trim())) {
+        return null;
+    }
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(spec).trim());
+    if (!match || parseInt(match[1], 10) === 0) {
+        throw new Error(`Invalid ${name} "${spec}" (expected e.g. "20/10m", "100/h" or "off")`);
+    }
+    return {
+        limit: parseInt(match[1], 10),
+        windowMs: (match[2] ? parseInt(match[2], 10) : 1) * UNIT_MS[match[3]]
+    };
+}
+
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map();   // key -> request times, oldest first
+        this.sinceSweep = 0;
+    }
+
+    /**
+     * Counts a request for `key` unless it is over the limit. Returns
+     * { allowed, retryAfter } with retryAfter in seconds when refused.
+     */
+    hit(key, now = Date.now()) {
+        if (++this.sinceSweep >= SWEEP_INTERVAL) {
+            this.sweep(now);
+        }
+        const times = (this.hits.get(key) || []).filter(time => time > now - this.windowMs);
+        if (times.length >= this.limit) {
+            this.hits.set(key, times);
+            return { allowed: false, retryAfter: Math.max(1, Math.ceil((times[0] + this.windowMs - now) / 1000)) };
+        }
+        times.push(now);
+        this.hits.set(key, times);
+        return { allowed: true, retryAfter: null };
+    }
+
+    sweep(now) {
+        this.sinceSweep = 0;
+        for (const [key, times] of this.hits) {
+            if (times[times.length - 1] <= now - this.windowMs) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    parseRateLimit,
+    RateLimiter
+};
@@ -0,0 +1,114 @@
+// lib/reranker.js
+//
+// Optional second pass over the fused retrieval results. A reranker takes the
+// question and the candidate passages and returns the passages reordered,
+// each with a `rerankScore`. Any failure leaves the fused order untouched.
+// Rerankers that call the chat model record it in the turn's usage when
+// given one (a TurnUsage, see lib/usageBudget.js).
+
+/**
+ * Scores passages with a cross-encoder served locally, e.g. Hugging Face
+ * text-embeddings-inference running a bge-reranker model. Expects the TEI
+ * /rerank API: POST { query, texts } -> [{ index, score }].
+ */
+class CrossEncoderReranker {
+    constructor({ url, timeoutMs = 5000 }) {
+        if (!url) {
+            throw new Error('The cross-encoder reranker needs RERANKER_URL');
+        }
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async rerank(query, items) {
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ query, texts: items.map(item => item.text) }),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`Reranker responded with ${response.status}`);
+            }
+            const scores = await response.json();
+            return applyScores(items, scores.map(({ index, score }) => [index, score]));
+        } catch (error) {
+            console.error('Cross-encoder reranking failed, keeping fused order:', error.message);
+            return items;
+        }
+    }
+}
+
+// Asks the chat model to grade each passage's relevance from 0 to 10
+class LlmReranker {
+    constructor({ llm, model = 'gpt-4o-mini' }) {
+        this.llm = llm;
+        this.model = model;
+    }
+
+    async rerank(query, items, usage = null) {
+        const passages = items
+            .map((item, i) => `[${i}] ${item.text.substring(0, 1200)}`)
+            .join('\n\n');
+
+        try {
+            const completion = await this.llm.complete({
+                model: this.model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'You grade how well oral history passages answer a question. ' +
+                            'Reply with JSON of the form {"scores": [{"index": 0, "score": 7}, ...]} ' +
+                            'giving every passage a score from 0 (irrelevant) to 10 (directly answers it).'
+                    },
+                    {
+                        role: 'user',
+                        content: `Question: ${query}\n\nPassages:\n${passages}`
+                    }
+                ]
+            });
+            if (usage) usage.addCompletion(completion);
+            const { scores } = JSON.parse(completion.text);
+            return applyScores(items, scores.map(({ index, score }) => [index, Number(score)]));
+        } catch (error) {
+            console.error('LLM reranking failed, keeping fused order:', error.message);
+            return items;
+        }
+    }
+}
+
+// Passages the reranker didn't score keep their fused order after the scored ones
+function applyScores(items, scores) {
+    const byIndex = new Map(scores.filter(([index]) => items[index]));
+    return items
+        .map((item, i) => ({ ...item, rerankScore: byIndex.has(i) ? byIndex.get(i) : null, fusedRank: i }))
+        .sort((a, b) => {
+            if (a.rerankScore === null || b.rerankScore === null) {
+                return (a.rerankScore === null) - (b.rerankScore === null) || a.fusedRank - b.fusedRank;
+            }
+            return b.rerankScore - a.rerankScore || a.fusedRank - b.fusedRank;
+        })
+        .map(({ fusedRank, ...item }) => item);
+}
+
+function createReranker(type, options = {}) {
+    switch (type || 'none') {
+        case 'none':
+            return null;
+        case 'cross-encoder':
+            return new CrossEncoderReranker({ url: options.url });
+        case 'llm':
+            return new LlmReranker({ llm: options.llm, model: options.model });
+        default:
+            throw new Error(`Unknown reranker "${type}" (expected none, cross-encoder or llm)`);
+    }
+}
+
+module.exports = {
+    CrossEncoderReranker,
+    LlmReranker,
+    createReranker
+};
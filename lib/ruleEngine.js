@@ -0,0 +1,170 @@
+// lib/ruleEngine.js
+//
+// Scripted behaviour for specific questions, applied in code rather than
+// asked of the model. A bot profile's `rules` look like
+//
+//   {
+//     "id": "juhasz-documentary-year",
+//     "match": { "type": "semantic", "texts": ["What year did ..."], "threshold": 0.9 },
+//     "followUp": "Would you like to know more about her documentary such as the title?",
+//     "pinInterviews": ["7"],
+//     "answer": "..."
+//   }
+//
+// Matching is exact (same text after trimming), normalized (same words
+// ignoring case, accents and punctuation) or semantic (embedding cosine
+// similarity at or above `threshold`; a normalized match always counts).
+// Before the completion a matching rule can pin the interviews used as
+// context or replace the answer entirely; after it, a rule's follow-up
+// sentence replaces whatever follow-up the model suggested.
+const { normalizePhrase } = require('./metadataFilters');
+
+const MATCH_TYPES = ['exact', 'normalized', 'semantic'];
+const DEFAULT_SEMANTIC_THRESHOLD = 0.9;
+
+// A trailing "Would you like to know more about ...?" paragraph or sentence,
+// or its Spanish form "¿Le gustaría saber más sobre ...?"
+const TRAILING_FOLLOW_UP = /(?:\n\s*\n|\s+)?(?:[^.!?\n¿]*\bwould you like\b[^?]*\?|¿[^?]*\bgustar[ií]a[^?]*\?)\s*$/i;
+
+class RuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleError';
+    }
+}
+
+function validateRules(rules) {
+    const ids = new Set();
+    rules.forEach((rule, i) => {
+        const where = `rules[${i}]`;
+        if (typeof rule.id !== 'string' || !rule.id) {
+            throw new RuleError(`${where} needs an id`);
+        }
+        if (ids.has(rule.id)) {
+            throw new RuleError(`${where} repeats the id "${rule.id}"`);
+        }
+        ids.add(rule.id);
+
+        const match = rule.match || {};
+        if (!MATCH_TYPES.includes(match.type)) {
+            throw new RuleError(`${where}.match.type must be one of ${MATCH_TYPES.join(', ')}`);
+        }
+        if (!Array.isArray(match.texts) || match.texts.length === 0 || !match.texts.every(text => typeof text === 'string')) {
+            throw new RuleError(`${where}.match.texts must be a non-empty array of strings`);
+        }
+        if (match.threshold !== undefined && !(match.threshold > 0 && match.threshold <= 1)) {
+            throw new RuleError(`${where}.match.threshold must be between 0 and 1`);
+        }
+        if (!rule.followUp && !rule.answer && !rule.pinInterviews) {
+            throw new RuleError(`${where} does nothing: give it a followUp, answer or pinInterviews`);
+        }
+        if (rule.pinInterviews !== undefined &&
+            (!Array.isArray(rule.pinInterviews) || !rule.pinInterviews.every(id => typeof id === 'string'))) {
+            throw new RuleError(`${where}.pinInterviews must be an array of interview ids`);
+        }
+    });
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Ends the answer with exactly this follow-up, dropping the model's own
+function withFollowUp(response, followUp) {
+    const body = response.replace(TRAILING_FOLLOW_UP, '').trimEnd();
+    return body ? `${body}\n\n${followUp}` : followUp;
+}
+
+class RuleEngine {
+    /**
+     * @param {object[]} rules                      validated rules of one bot profile
+     * @param {(text: string, usage: TurnUsage|null) => Promise<number[]>} embed
+     */
+    constructor(rules, embed) {
+        this.rules = rules;
+        this.embed = embed;
+        this.ruleEmbeddings = new Map();   // rule text -> embedding, filled on first use
+    }
+
+    /**
+     * Rules matching any of the given phrasings of the question (e.g. as
+     * asked and as rewritten), in profile order. `usage` (a TurnUsage)
+     * records the texts embedded for semantic rules.
+     *
+     * @returns {Promise<Array<{ rule, matchType, matchedText, score }>>}
+     */
+    async match(questions, usage = null) {
+        const phrasings = [...new Set(questions.filter(Boolean).map(text => text.trim()))];
+        const matches = [];
+        let questionEmbeddings = null;
+
+        for (const rule of this.rules) {
+            const { type, texts } = rule.match;
+            let best = null;
+
+            if (type === 'exact') {
+                const text = texts.find(candidate => phrasings.includes(candidate.trim()));
+                if (text) best = { matchedText: text, score: 1 };
+            } else {
+                // A normalized match also counts as a perfect semantic one
+                const normalized = phrasings.map(normalizePhrase);
+                const text = texts.find(candidate => normalized.includes(normalizePhrase(candidate)));
+                if (text) best = { matchedText: text, score: 1 };
+            }
+
+            if (!best && type === 'semantic') {
+                try {
+                    if (!questionEmbeddings) {
+                        questionEmbeddings = await Promise.all(phrasings.map(text => this.embed(text, usage)));
+                    }
+                    best = await this.bestSemanticMatch(rule, questionEmbeddings, usage);
+                } catch (error) {
+                    // Exact and normalized rules still apply when embeddings are unavailable
+                    console.error(`Semantic matching for rule ${rule.id} failed:`, error.message);
+                }
+            }
+
+            if (best) {
+                matches.push({ rule, matchType: type, ...best });
+            }
+        }
+        return matches;
+    }
+
+    async bestSemanticMatch(rule, questionEmbeddings, usage = null) {
+        const threshold = rule.match.threshold || DEFAULT_SEMANTIC_THRESHOLD;
+        let best = null;
+        for (const text of rule.match.texts) {
+            const ruleEmbedding = await this.embeddingFor(text, usage);
+            for (const questionEmbedding of questionEmbeddings) {
+                const score = cosineSimilarity(questionEmbedding, ruleEmbedding);
+                if (score >= threshold && (!best || score > best.score)) {
+                    best = { matchedText: text, score };
+                }
+            }
+        }
+        return best;
+    }
+
+    async embeddingFor(text, usage = null) {
+        if (!this.ruleEmbeddings.has(text)) {
+            this.ruleEmbeddings.set(text, await this.embed(text, usage));
+        }
+        return this.ruleEmbeddings.get(text);
+    }
+}
+
+module.exports = {
+    RuleEngine,
+    RuleError,
+    validateRules,
+    withFollowUp
+};
@@ -0,0 +1,791 @@
+// lib/searchEngine.js
+//
+// Retrieval over the interview transcripts: loads the embeddings file,
+// metadata.csv and the name aliases, and finds the passages a question needs
+// (hybrid semantic + BM25 search, name resolution, metadata filters,
+// comparative and thematic questions, questions in another language than
+// the passages). Used by the server and by scripts/evaluate.js.
+const path = require('path');
+const fs = require('fs');
+const csv = require('csv-parse/sync');
+const { readEmbeddingsFile, checkEmbeddingModel } = require('./embeddingsFile');
+const { createVectorIndex } = require('./vectorIndex');
+const { LexicalIndex, tokenize } = require('./lexicalIndex');
+const { NameResolver } = require('./nameResolver');
+const { QueryRewriter } = require('./queryRewriter');
+const { extractCitations } = require('./citations');
+const {
+    DEFAULT_LANGUAGE,
+    chunkLanguages,
+    questionLanguage,
+    languageName,
+    formatLanguageLabel
+} = require('./language');
+const {
+    parseTags,
+    parseInterviewDate,
+    normalizePhrase,
+    findTagsInText,
+    findInterviewYears,
+    matchesFilters
+} = require('./metadataFilters');
+
+// Rank offset in reciprocal rank fusion; 60 is the value from the original paper
+const RRF_K = 60;
+// Length of the passage preview included with each source
+const SNIPPET_LENGTH = 200;
+// Questions comparing people, in English or Spanish
+const COMPARATIVE = /\b(?:between|compar\w*|entre)\b/i;
+// Query translations kept in memory, least recently used first out
+const TRANSLATION_CACHE_SIZE = 1000;
+
+class AISearchEngine {
+    constructor(llm, options = {}) {
+        // Embeddings and chat backend (lib/llmProviders.js)
+        this.llm = llm;
+        // Where embeddings.json, metadata.csv and name_aliases.csv live
+        this.dataDir = options.dataDir || path.join(__dirname, '..');
+        // How much a chunk of pure interviewer speech is penalised relative
+        // to narrator speech (0 disables the preference)
+        this.narratorPreference = options.narratorPreference !== undefined ? options.narratorPreference : 0.1;
+        // bruteforce, hnsw or pgvector (see lib/vectorIndex.js)
+        this.vectorIndexType = options.vectorIndex || 'bruteforce';
+        this.pool = options.pool;
+        this.reranker = options.reranker || null;
+        // Rewrites follow-ups as standalone questions; 'rules' skips the model
+        this.queryRewriter = new QueryRewriter({
+            llm,
+            model: options.rewriteModel,
+            useLlm: options.queryRewrite !== 'rules'
+        });
+        // Defaults for findRelevantContext; each call can override them
+        this.retrieval = {
+            topK: options.topK || 5,
+            minScore: options.minScore || 0,
+            candidates: options.candidates || 30,
+            rerankCandidates: options.rerankCandidates || 20,
+            // Questions that name nobody draw on several interviews
+            synthesis: options.synthesis !== undefined ? options.synthesis : true,
+            synthesisTopK: options.synthesisTopK || 8,
+            maxChunksPerInterview: options.maxChunksPerInterview || 2,
+            mmrLambda: options.mmrLambda !== undefined ? options.mmrLambda : 0.7
+        };
+        this.index = null;
+        this.lexicalIndex = null;
+        this.texts = [];
+        this.metadata = new Map();
+        this.documentsBySource = new Map();
+        this.nameResolver = null;
+        this.allTags = [];
+        this.chunkMetadata = [];
+        this.archiveLanguages = [];
+        // language + normalized query -> translation; Map order is LRU order
+        this.translationCache = new Map();
+    }
+
+    async initialize() {
+        try {
+            await this.useArchive(await this.loadArchive());
+
+            console.log("First few texts entries:");
+            this.texts.slice(0, 3).forEach((text, i) => {
+                console.log(`Text ${i + 1} starts with: ${text.substring(0, 100)}...`);
+            });
+
+            console.log("\nFirst few metadata records:");
+            [...this.metadata.values()].slice(0, 3).forEach((record, i) => {
+                console.log(`Record ${i + 1}: ${record.name}`);
+            });
+
+            console.log(`Loaded ${this.index.size} embeddings and ${this.metadata.size} metadata records`);
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the data files again after interviews were added, changed or
+     * removed. Everything is built before any of it replaces the current
+     * archive, and a pgvector table only becomes the live one after that,
+     * so a failed reload leaves the engine and the database as they were.
+     */
+    async reload() {
+        await this.useArchive(await this.loadArchive());
+        console.log(`Reloaded ${this.index.size} embeddings and ${this.metadata.size} metadata records`);
+    }
+
+    // Makes a loaded archive the current one. Stored vectors it replaces are
+    // only dropped once searches use the new ones.
+    async useArchive(archive) {
+        const { index } = archive;
+        if (typeof index.activate === 'function') {
+            try {
+                await index.activate();
+            } catch (error) {
+                await discardIndex(index);
+                throw error;
+            }
+        }
+        Object.assign(this, archive);
+        if (typeof index.dropInactive === 'function') {
+            try {
+                await index.dropInactive();
+            } catch (error) {
+                console.error('Failed to drop replaced embeddings tables:', error.message);
+            }
+        }
+    }
+
+    // The indexes and metadata built from the files in dataDir
+    async loadArchive() {
+        // Throws on misaligned arrays or vectors of the wrong dimension
+        const data = readEmbeddingsFile(path.join(this.dataDir, 'embeddings.json'));
+        checkEmbeddingModel(data, this.llm.embeddingModel);
+        const index = createVectorIndex(this.vectorIndexType, { pool: this.pool });
+        await index.build(
+            data.chunks.map(chunk => chunk.embedding),
+            data.chunks.map(chunk => chunk.metadata.source)
+        );
+        try {
+            return { index, ...this.loadArchiveFiles(data) };
+        } catch (error) {
+            await discardIndex(index);
+            throw error;
+        }
+    }
+
+    // Texts, lexical index and metadata for the chunks of an embeddings file
+    loadArchiveFiles(data) {
+        const texts = data.chunks.map(chunk => chunk.text);
+        // Files from before chunks recorded their language get it detected here
+        const chunkMetadata = data.chunks.map(chunk => chunk.metadata.languages
+            ? chunk.metadata
+            : { ...chunk.metadata, ...chunkLanguages(chunk.text) });
+        // Main languages only: a few Spanish sentences in English chunks
+        // don't make every English question worth translating
+        const archiveLanguages = [...new Set(chunkMetadata.map(metadata => metadata.language))];
+        const lexicalIndex = this.loadLexicalIndex(path.join(this.dataDir, 'embeddings.lexical.json'), texts, chunkMetadata);
+        console.log(`Embeddings file: ${data.model || 'unknown model'}, ${data.dimensions} dimensions, ${this.vectorIndexType} index`);
+
+        const metadataFile = fs.readFileSync(path.join(this.dataDir, 'metadata.csv'), 'utf8');
+        const records = csv.parse(metadataFile, {
+            columns: true,
+            skip_empty_lines: true
+        });
+
+        // Records are keyed by the CSV id and found from chunks by pdf_name,
+        // so the row order of metadata.csv doesn't matter
+        const metadata = new Map();
+        const documentsBySource = new Map();
+        records.forEach(record => {
+            metadata.set(record.id, {
+                ...record,
+                tagList: parseTags(record.tags),
+                dateValue: parseInterviewDate(record.date)
+            });
+            documentsBySource.set(record.pdf_name, record.id);
+        });
+        const nameResolver = new NameResolver(
+            [...metadata.entries()].map(([id, record]) => ({ id, record })),
+            this.loadNameAliases(path.join(this.dataDir, 'name_aliases.csv'), metadata)
+        );
+        const allTags = [...new Set([...metadata.values()].flatMap(record => record.tagList))];
+
+        return {
+            texts,
+            chunkMetadata,
+            archiveLanguages,
+            lexicalIndex,
+            metadata,
+            documentsBySource,
+            nameResolver,
+            allTags
+        };
+    }
+
+    // Uses the BM25 index written next to embeddings.json when it was built
+    // from the same chunks, and builds one in memory otherwise.
+    loadLexicalIndex(filePath, texts, chunkMetadata) {
+        if (fs.existsSync(filePath)) {
+            try {
+                const index = LexicalIndex.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+                if (index.matches(texts)) {
+                    return index;
+                }
+                console.log('Lexical index is out of date with embeddings.json, rebuilding in memory');
+            } catch (error) {
+                console.error('Ignoring unreadable lexical index:', error.message);
+            }
+        }
+        return LexicalIndex.build(texts, chunkMetadata.map(metadata => metadata.source));
+    }
+
+    // Nicknames and alternative spellings, one "id,alias" row each
+    loadNameAliases(filePath, metadata) {
+        const aliases = {};
+        if (!fs.existsSync(filePath)) {
+            return aliases;
+        }
+        const rows = csv.parse(fs.readFileSync(filePath, 'utf8'), {
+            columns: true,
+            skip_empty_lines: true
+        });
+        rows.forEach(({ id, alias }) => {
+            if (!metadata.has(id)) {
+                console.warn(`Ignoring alias "${alias}" for unknown interview ${id}`);
+                return;
+            }
+            (aliases[id] = aliases[id] || []).push(alias);
+        });
+        return aliases;
+    }
+
+    findAllNamesInQuestion(question, preferIds = []) {
+        return this.nameResolver.resolve(question, { preferIds }).matches;
+    }
+
+    // People named in earlier user messages, most recent first, used to
+    // decide between narrators who share a name part
+    recentlyDiscussedIds(history) {
+        const ids = [];
+        history
+            .filter(msg => msg.role === 'user')
+            .reverse()
+            .forEach(msg => {
+                this.nameResolver.resolve(msg.content).matches.forEach(({ id }) => {
+                    if (!ids.includes(id)) ids.push(id);
+                });
+            });
+        return ids;
+    }
+
+    // Narrators in the conversation, most recent first: named in the user's
+    // questions or cited in the answers
+    recentlyMentionedNames(history) {
+        const names = [];
+        [...history].reverse().forEach(msg => {
+            const ids = msg.role === 'user'
+                ? this.nameResolver.resolve(msg.content).matches.map(({ id }) => id)
+                : extractCitations(msg.content).map(({ interviewId }) => interviewId);
+            ids.forEach(id => {
+                const record = this.metadata.get(id);
+                if (record && !names.includes(record.name)) names.push(record.name);
+            });
+        });
+        return names;
+    }
+
+    /**
+     * Standalone form of a question given the session history, e.g. "why did
+     * she leave?" after a question about Jean Carlomusto. `usage` (a
+     * TurnUsage, see lib/usageBudget.js) records the model call.
+     *
+     * @returns {Promise<{ query: string, method: 'unchanged'|'llm'|'rules' }>}
+     */
+    async rewriteQuestion(question, history = [], usage = null) {
+        const rewritten = await this.queryRewriter.rewrite(question, history, {
+            recentNames: this.recentlyMentionedNames(history),
+            namesInQuestion: this.nameResolver.resolve(question).matches.length > 0,
+            usage
+        });
+        if (rewritten.method !== 'unchanged') {
+            console.log(`Rewrote "${question}" as "${rewritten.query}" (${rewritten.method})`);
+        }
+        return rewritten;
+    }
+
+    /**
+     * The query in the other main languages of the archive, as
+     * [{ language, query }], so passages in those languages can be found by
+     * keyword too. Empty when the archive has no other language or the
+     * translation fails. Translations are cached per query, so a question
+     * asked again (or searched for again) costs no model call; `usage` (a
+     * TurnUsage) records the calls that are made.
+     */
+    async translateQuery(query, language = questionLanguage(query), usage = null) {
+        const targets = this.archiveLanguages.filter(code => code !== language);
+        const translations = await Promise.all(targets.map(async code => ({
+            language: code,
+            query: await this.cachedTranslation(query, code, usage)
+        })));
+        return translations.filter(translation => translation.query && translation.query !== query);
+    }
+
+    async cachedTranslation(query, code, usage) {
+        const key = `${code}\u0000${query.trim().replace(/\s+/g, ' ').toLowerCase()}`;
+        if (this.translationCache.has(key)) {
+            const translation = this.translationCache.get(key);
+            this.translationCache.delete(key);
+            this.translationCache.set(key, translation);
+            return translation;
+        }
+        const translation = await this.queryRewriter.translate(query, languageName(code), usage);
+        // Failed translations are tried again next time
+        if (translation) {
+            this.translationCache.set(key, translation);
+            if (this.translationCache.size > TRANSLATION_CACHE_SIZE) {
+                this.translationCache.delete(this.translationCache.keys().next().value);
+            }
+        }
+        return translation;
+    }
+
+    /**
+     * Retrieves the transcript passages for a question. Follow-ups are first
+     * rewritten as standalone questions unless `options.rewrittenQuery` is
+     * already given. Questions in another language than (some of) the
+     * passages are also searched in translation; `options.language` is the
+     * question's language when the caller already detected it, and
+     * `options.usage` a TurnUsage recording every model call. Returns the
+     * context block for the system prompt (null when nothing relevant was
+     * found), one `sources` entry per passage in it and the names in the
+     * question the context asks the model to clarify.
+     *
+     * @returns {Promise<{ context: string|null, sources: object[], ambiguousNames: string[] }>}
+     */
+    async findRelevantContext(question, history = [], options = {}) {
+        try {
+            const { filters = null, rewrittenQuery = null, language = null, usage = null, ...overrides } = options;
+            const contextualQuery = rewrittenQuery || (await this.rewriteQuestion(question, history, usage)).query;
+
+            const translations = await this.translateQuery(
+                contextualQuery,
+                language || questionLanguage(contextualQuery, history),
+                usage
+            );
+            const queries = [contextualQuery, ...translations.map(translation => translation.query)];
+            const [questionEmbedding, ...translationEmbeddings] = await this.llm.embed(queries);
+            if (usage) usage.addEmbedding(queries);
+            const settings = {
+                ...this.retrieval,
+                ...overrides,
+                usage,
+                translations: translations.map((translation, i) => ({
+                    query: translation.query,
+                    embedding: translationEmbeddings[i]
+                }))
+            };
+            // Comparisons, tags and interview years are recognised in English
+            const english = translations.find(translation => translation.language === DEFAULT_LANGUAGE);
+            const analysisQuery = english ? english.query : contextualQuery;
+
+            const isComparative = COMPARATIVE.test(contextualQuery) || COMPARATIVE.test(analysisQuery);
+            
+            const resolved = this.nameResolver.resolve(contextualQuery, {
+                preferIds: this.recentlyDiscussedIds(history)
+            });
+            const names = resolved.matches
+                .filter(({ id, record }) => matchesFilters(id, record, filters));
+
+            // Tags and interview years from the question plus any explicit filters
+            const topics = this.resolveTopics(analysisQuery, filters);
+            const header = (id, record) => this.formatInterviewHeader(id, record, topics.tags);
+            const ambiguous = names.length === 0 ? resolved.ambiguous : [];
+            const notes = [topics.summary, this.describeAmbiguousNames(ambiguous)]
+                .filter(Boolean)
+                .join('\n');
+            const result = (context, items) => ({
+                context: notes ? `${notes}\n\n${context}` : context,
+                sources: items.map(item => this.describeSource(item)),
+                ambiguousNames: ambiguous.map(({ text }) => text)
+            });
+            const noContext = { context: null, sources: [], ambiguousNames: [] };
+            
+            if ((isComparative || names.length > 1) && names.length >= 2) {
+                const contexts = [];
+                const usedChunks = [];
+                for (const match of names) {
+                    const documentName = match.record.pdf_name;
+                    const similarContent = await this.searchChunks(contextualQuery, questionEmbedding, {
+                        ...settings,
+                        sources: [documentName]
+                    });
+                    
+                    if (similarContent.length > 0) {
+                        usedChunks.push(...similarContent);
+                        contexts.push({
+                            header: header(match.id, match.record),
+                            content: similarContent.map(item => ({
+                                text: item.text,
+                                pageLabel: `${formatPageLabel(item.metadata)}${formatLanguageLabel(item.metadata)}`,
+                                score: item.score
+                            }))
+                        });
+                    }
+                }
+                
+                return result(contexts.map(context => 
+                    `${context.header}\n${
+                        context.content.map(c => `${c.pageLabel}${c.text}`).join('\n\n')
+                    }`
+                ).join('\n\n---\n\n'), usedChunks);
+            }
+            
+            const nameMatch = names[0];
+            if (nameMatch) {
+                const { id, record } = nameMatch;
+                console.log(`Found match for person: ${record.name} (ID: ${id})`);
+                
+                const documentName = record.pdf_name;
+                const similarContent = await this.searchChunks(contextualQuery, questionEmbedding, {
+                    ...settings,
+                    sources: [documentName]
+                });
+                
+                if (similarContent.length > 0) {
+                    return result(similarContent.map(item => 
+                        `${header(id, record)}\n${formatPassage(item)}`
+                    ).join('\n\n'), similarContent);
+                }
+            }
+
+            if (topics.sources && topics.sources.length === 0 && topics.strict) {
+                console.log('No interviews match the request filters');
+                return noContext;
+            }
+
+            // Thematic questions search a wider pool and then pick diverse passages
+            const poolSettings = settings.synthesis
+                ? { ...settings, topK: settings.candidates }
+                : settings;
+            let similarContent = await this.searchChunks(contextualQuery, questionEmbedding, {
+                ...poolSettings,
+                sources: topics.sources && topics.sources.length > 0 ? topics.sources : null
+            });
+            if (similarContent.length === 0 && topics.sources && !topics.strict) {
+                // Tags guessed from the wording shouldn't hide everything else
+                similarContent = await this.searchChunks(contextualQuery, questionEmbedding, poolSettings);
+            }
+            // A PDF without a metadata.csv row can't be cited
+            similarContent = similarContent.filter(item => this.documentsBySource.has(item.metadata.source));
+
+            if (settings.synthesis) {
+                const selected = this.selectDiverseChunks(similarContent, settings);
+                if (selected.length > 0) {
+                    return result(this.formatMultiInterviewContext(selected, header), selected);
+                }
+                return noContext;
+            }
+            
+            const groupedResults = {};
+            similarContent.forEach(item => {
+                const source = item.metadata.source;
+                if (!groupedResults[source]) {
+                    groupedResults[source] = [];
+                }
+                groupedResults[source].push(item);
+            });
+
+            if (Object.keys(groupedResults).length > 0) {
+                const bestSource = Object.entries(groupedResults)
+                    .sort((a, b) => b[1].length - a[1].length)[0];
+                
+                const documentId = this.documentsBySource.get(bestSource[0]);
+                const record = this.metadata.get(documentId);
+                
+                const relevantChunks = bestSource[1];
+                return result(relevantChunks.map(item => 
+                    `${header(documentId, record)}\n${formatPassage(item)}`
+                ).join('\n\n'), relevantChunks);
+            }
+
+            return noContext;
+        } catch (error) {
+            console.error('Error finding relevant context:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Maximal marginal relevance over the retrieved pool: each pick trades
+     * relevance against similarity to passages already chosen, and no
+     * interview contributes more than `maxChunksPerInterview` passages.
+     * Relevance is the reranker's score when it ran (passages past its
+     * candidates count as 0), else the fused score, either way relative to
+     * the highest in the pool.
+     */
+    selectDiverseChunks(results, { synthesisTopK, maxChunksPerInterview, mmrLambda }) {
+        if (results.length === 0) return [];
+
+        const reranked = results.some(item => typeof item.rerankScore === 'number');
+        const scoreOf = item => (reranked ? item.rerankScore : item.score) || 0;
+        const topScore = Math.max(...results.map(scoreOf));
+        const scale = topScore > 0 ? topScore : 1;
+        const selected = [];
+        const perInterview = new Map();
+        const remaining = results.slice();
+
+        while (selected.length < synthesisTopK && remaining.length > 0) {
+            let best = -1;
+            let bestValue = -Infinity;
+
+            remaining.forEach((item, i) => {
+                if ((perInterview.get(item.metadata.source) || 0) >= maxChunksPerInterview) return;
+
+                const relevance = scoreOf(item) / scale;
+                const redundancy = selected.reduce(
+                    (max, chosen) => Math.max(max, this.chunkSimilarity(item.index, chosen.index)),
+                    0
+                );
+                const value = mmrLambda * relevance - (1 - mmrLambda) * redundancy;
+                if (value > bestValue) {
+                    bestValue = value;
+                    best = i;
+                }
+            });
+
+            if (best === -1) break;
+            const [item] = remaining.splice(best, 1);
+            selected.push(item);
+            perInterview.set(item.metadata.source, (perInterview.get(item.metadata.source) || 0) + 1);
+        }
+
+        return selected;
+    }
+
+    // Cosine similarity of two stored chunks when the index keeps vectors in
+    // memory, word overlap otherwise (pgvector)
+    chunkSimilarity(a, b) {
+        if (typeof this.index.similarity === 'function') {
+            return this.index.similarity(a, b);
+        }
+        const wordsA = new Set(tokenize(this.texts[a]));
+        const wordsB = new Set(tokenize(this.texts[b]));
+        let shared = 0;
+        wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+        return shared / (wordsA.size + wordsB.size - shared || 1);
+    }
+
+    // One block per interview, interviews in order of their best passage
+    formatMultiInterviewContext(chunks, header) {
+        const groups = new Map();
+        for (const item of chunks) {
+            const source = item.metadata.source;
+            if (!groups.has(source)) groups.set(source, []);
+            groups.get(source).push(item);
+        }
+
+        return [...groups].map(([source, items]) => {
+            const id = this.documentsBySource.get(source);
+            const passages = items
+                .sort((a, b) => (a.metadata.charStart || 0) - (b.metadata.charStart || 0))
+                .map(formatPassage)
+                .join('\n\n');
+            return `${header(id, this.metadata.get(id))}\n${passages}`;
+        }).join('\n\n---\n\n');
+    }
+
+    /**
+     * Works out which interviews a question is about from metadata.csv: tags
+     * named in the question ("Women and AIDS"), interview years ("interviews
+     * from 2003") and the explicit request filters. `sources` is null when
+     * nothing narrows the search; `strict` is set for explicit filters, which
+     * are never relaxed.
+     */
+    resolveTopics(question, filters) {
+        const questionTags = findTagsInText(question, this.allTags);
+        const years = findInterviewYears(question);
+        if (!filters && questionTags.length === 0 && years.length === 0) {
+            return { tags: [], sources: null, strict: false, summary: '' };
+        }
+
+        const requestedTags = filters ? filters.tags.map(normalizePhrase) : [];
+        const explicitTags = this.allTags.filter(tag => requestedTags.includes(normalizePhrase(tag)));
+        const tags = [...new Set([...questionTags, ...explicitTags])];
+
+        const documents = [...this.metadata.entries()].filter(([id, record]) => {
+            if (!matchesFilters(id, record, filters)) return false;
+            if (questionTags.length > 0 && !record.tagList.some(tag => questionTags.includes(tag))) return false;
+            if (years.length > 0 && !(record.dateValue && years.includes(record.dateValue.getUTCFullYear()))) return false;
+            return true;
+        });
+
+        let summary = '';
+        if (documents.length > 0) {
+            const criteria = [];
+            if (tags.length > 0) criteria.push(`tagged ${tags.map(tag => `"${tag}"`).join(' or ')}`);
+            if (years.length > 0) criteria.push(`recorded in ${years.join(' or ')}`);
+            const list = documents.map(([id, record]) => `#${id} ${record.name} (${record.date})`).join('; ');
+            summary = criteria.length > 0
+                ? `Interviews ${criteria.join(' and ')}: ${list}`
+                : `Interviews matching the requested filters: ${list}`;
+        }
+
+        return {
+            tags,
+            sources: documents.map(([, record]) => record.pdf_name),
+            strict: Boolean(filters),
+            summary
+        };
+    }
+
+    /**
+     * Citation metadata for one retrieved chunk, as returned in `sources`,
+     * with how each ranking scored it (null when it didn't find or score
+     * the passage):
+     *   similarity    cosine similarity to the question or a translation of
+     *                 it, a little lower for passages mostly spoken by the
+     *                 interviewer
+     *   lexicalScore  BM25 keyword score
+     *   rerankScore   the reranker's score (0-10 from the LLM reranker)
+     */
+    describeSource(item) {
+        const interviewId = this.documentsBySource.get(item.metadata.source);
+        const record = this.metadata.get(interviewId);
+        return {
+            interviewId,
+            narrator: record.name,
+            date: record.date,
+            excerptTitle: record.excerpt_title,
+            pdfName: record.pdf_name,
+            pdfUrl: record.web_url,
+            pageStart: item.metadata.pageStart || null,
+            pageEnd: item.metadata.pageEnd || null,
+            charStart: item.metadata.charStart !== undefined ? item.metadata.charStart : null,
+            charEnd: item.metadata.charEnd !== undefined ? item.metadata.charEnd : null,
+            similarity: roundScore(item.similarity),
+            lexicalScore: roundScore(item.lexicalScore),
+            rerankScore: roundScore(item.rerankScore),
+            chunkIndex: item.index,
+            // The passage's own language, which a translated answer still cites
+            language: item.metadata.language || null,
+            languages: item.metadata.languages || [],
+            snippet: item.text.length > SNIPPET_LENGTH
+                ? `${item.text.substring(0, SNIPPET_LENGTH).trimEnd()}…`
+                : item.text
+        };
+    }
+
+    describeAmbiguousNames(ambiguous) {
+        return ambiguous.map(({ text, candidates }) => {
+            const options = candidates.map(({ id, record }) => `Interview #${id} with ${record.name}`).join(' or ');
+            return `Note: "${text}" could refer to ${options}. Ask which one the user means unless the question makes it clear.`;
+        }).join('\n');
+    }
+
+    formatInterviewHeader(id, record, tags = []) {
+        const matchedTags = record.tagList.filter(tag => tags.includes(tag));
+        const tagNote = matchedTags.length > 0 ? ` [tags: ${matchedTags.join(', ')}]` : '';
+        return `Interview ${id} with ${record.name} (${record.date})${tagNote}:`;
+    }
+
+    /**
+     * Hybrid retrieval: semantic and BM25 rankings are merged with reciprocal
+     * rank fusion, optionally reranked, and cut to `topK`. Passages whose
+     * cosine similarity is below `minScore` are dropped unless they matched
+     * on keywords. Each of `translations` ({ query, embedding }) adds its
+     * own two rankings. `rerank: false` skips the reranker, and `usage` (a
+     * TurnUsage) records its model call.
+     */
+    async searchChunks(query, queryEmbedding, {
+        sources = null,
+        topK,
+        minScore,
+        candidates,
+        rerankCandidates,
+        rerank = true,
+        translations = [],
+        usage = null
+    }) {
+        const fused = new Map();
+        const addRanking = (ranking, field) => {
+            ranking.forEach((hit, rank) => {
+                if (!fused.has(hit.index)) {
+                    fused.set(hit.index, { index: hit.index, fusedScore: 0, similarity: null, lexicalScore: null });
+                }
+                const entry = fused.get(hit.index);
+                entry.fusedScore += 1 / (RRF_K + rank + 1);
+                entry[field] = entry[field] === null ? hit.score : Math.max(entry[field], hit.score);
+            });
+        };
+        for (const { query: text, embedding } of [{ query, embedding: queryEmbedding }, ...translations]) {
+            addRanking(await this.findSimilarContent(embedding, sources, candidates), 'similarity');
+            addRanking(this.lexicalIndex.search(text, { k: candidates, sources }), 'lexicalScore');
+        }
+
+        let results = [...fused.values()]
+            .filter(entry => entry.lexicalScore !== null || entry.similarity >= minScore)
+            .sort((a, b) => b.fusedScore - a.fusedScore)
+            .map(entry => ({
+                ...entry,
+                score: entry.fusedScore,
+                text: this.texts[entry.index],
+                metadata: this.chunkMetadata[entry.index]
+            }));
+
+        if (rerank && this.reranker && results.length > 1) {
+            const head = await this.reranker.rerank(query, results.slice(0, rerankCandidates), usage);
+            results = [...head, ...results.slice(rerankCandidates)];
+        }
+
+        return results.slice(0, topK);
+    }
+
+    async findSimilarContent(queryEmbedding, sources = null, limit = 5) {
+        // Over-fetch so the narrator preference can reorder the top results
+        const hits = await this.index.search(queryEmbedding, { k: limit * 3, sources });
+
+        return hits
+            .map(({ index, score }) => ({
+                index,
+                score: this.preferNarrator(score, this.chunkMetadata[index]),
+                text: this.texts[index],
+                metadata: this.chunkMetadata[index]
+            }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    // Chunks record which share of their text the narrator speaks; questions
+    // are about the narrators, so mostly-interviewer chunks rank a bit lower.
+    preferNarrator(score, metadata) {
+        if (!metadata || typeof metadata.narratorShare !== 'number') {
+            return score;
+        }
+        return score * (1 - this.narratorPreference * (1 - metadata.narratorShare));
+    }
+
+    async getEmbedding(text, usage = null) {
+        const [embedding] = await this.llm.embed([text]);
+        if (usage) usage.addEmbedding([text]);
+        return embedding;
+    }
+}
+
+// Builds the "[Page N] " / "[Pages N-M] " prefix for a chunk. Chunks from an
+// embeddings file without page data get no prefix rather than "[Page undefined]".
+function formatPageLabel(metadata) {
+    if (!metadata || !metadata.pageStart) {
+        return '';
+    }
+    if (!metadata.pageEnd || metadata.pageEnd === metadata.pageStart) {
+        return `[Page ${metadata.pageStart}] `;
+    }
+    return `[Pages ${metadata.pageStart}-${metadata.pageEnd}] `;
+}
+
+function roundScore(score) {
+    return typeof score === 'number' ? Math.round(score * 10000) / 10000 : null;
+}
+
+// A passage as given to the model: page label, language label when it
+// isn't all English, then the text in its original language
+function formatPassage(item) {
+    return `${formatPageLabel(item.metadata)}${formatLanguageLabel(item.metadata)}${item.text}`;
+}
+
+// Drops vectors a failed load had stored; the load's own error is the one to report
+async function discardIndex(index) {
+    if (typeof index.discard !== 'function') return;
+    try {
+        await index.discard();
+    } catch (error) {
+        console.error('Failed to drop the embeddings table of a failed load:', error.message);
+    }
+}
+
+module.exports = {
+    AISearchEngine,
+    formatPageLabel
+};
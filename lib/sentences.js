@@ -0,0 +1,67 @@
+// lib/sentences.js
+
+// Words that end in a period without ending the sentence
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'st', 'sr', 'jr', 'prof', 'rev', 'gen', 'sen', 'rep', 'gov',
+    'vs', 'etc', 'e.g', 'i.e', 'approx', 'dept', 'inc', 'co', 'corp', 'ltd', 'no', 'vol',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+    'ave', 'blvd', 'mt', 'ft', 'p', 'pp',
+    // Spanish
+    'sra', 'srta', 'dra', 'ud', 'uds', 'pág', 'págs', 'núm'
+]);
+
+// Candidate boundary: terminal punctuation, optional closing quotes/brackets, whitespace
+const BOUNDARY = /[.!?]+["'”’)\]]*\s+/g;
+
+function endsWithAbbreviation(textBefore) {
+    const match = textBefore.match(/(\S+)\.$/);
+    if (!match) return false;
+
+    const word = match[1].replace(/^["'“‘(\[]+/, '');
+    if (ABBREVIATIONS.has(word.toLowerCase())) return true;
+    // Initials and dotted acronyms: "J.", "U.S.", "N.Y.C."
+    return /^(?:\p{Lu}\.)*\p{Lu}$/u.test(word);
+}
+
+/**
+ * Splits text into sentences without breaking after abbreviations such as
+ * "Dr." or "U.S.". Each sentence keeps its character range in the input,
+ * shifted by `offset`.
+ */
+function splitSentences(text, offset = 0) {
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    BOUNDARY.lastIndex = 0;
+    while ((match = BOUNDARY.exec(text)) !== null) {
+        const end = match.index + match[0].trimEnd().length;
+        const next = text.charAt(match.index + match[0].length);
+
+        if (!/[\p{Lu}\d"'“‘(\[¿¡]/u.test(next)) continue;
+        if (/^\.+$/.test(match[0].trim()) && endsWithAbbreviation(text.slice(start, end))) continue;
+
+        pushSentence(sentences, text, start, end, offset);
+        start = match.index + match[0].length;
+    }
+    pushSentence(sentences, text, start, text.length, offset);
+
+    return sentences;
+}
+
+function pushSentence(sentences, text, start, end, offset) {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+
+    const leading = raw.length - raw.trimStart().length;
+    sentences.push({
+        text: trimmed,
+        charStart: offset + start + leading,
+        charEnd: offset + start + leading + trimmed.length
+    });
+}
+
+module.exports = {
+    splitSentences
+};
@@ -0,0 +1,107 @@
+// lib/serviceErrors.js
+//
+// Maps failures of the services a chat depends on (OpenAI, Postgres, the
+// search index) and refusals under the usage limits to HTTP statuses and
+// stable error codes, so clients can tell "try again shortly" from "this
+// request is wrong" from a bug.
+const OpenAI = require('openai');
+
+// Raised when a dependency isn't ready yet, e.g. the search index is loading
+class ServiceUnavailableError extends Error {
+    constructor(message, { code = 'service_unavailable', retryAfter = null } = {}) {
+        super(message);
+        this.name = 'ServiceUnavailableError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Raised when a client is over a rate limit or a spend cap. The message is
+// shown to participants, so it should read as an answer, not an error.
+class LimitExceededError extends Error {
+    constructor(message, { code = 'rate_limited', retryAfter = null } = {}) {
+        super(message);
+        this.name = 'LimitExceededError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Socket errors and Postgres "too many connections". SQLSTATE classes 08
+// (connection exception) and 57P (shutdown, crash) are matched by prefix.
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE', '53300'
+]);
+
+/**
+ * Whether a database error means Postgres couldn't be reached (as opposed to
+ * rejecting the statement), i.e. whether retrying later can succeed.
+ */
+function isConnectionError(error) {
+    if (!error) return false;
+    const code = typeof error.code === 'string' ? error.code : '';
+    return CONNECTION_ERROR_CODES.has(code) ||
+        code.startsWith('08') ||
+        code.startsWith('57P') ||
+        /Connection terminated|timeout exceeded when trying to connect|Client has encountered a connection error/i
+            .test(error.message || '');
+}
+
+// Seconds from a Retry-After header, when OpenAI sent one
+function retryAfterSeconds(error) {
+    const value = error.headers && error.headers['retry-after'];
+    const seconds = parseInt(value, 10);
+    return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Describes an error for the client:
+ *   { status, code, message, retryAfter }
+ * Messages are safe to show; upstream details are only logged.
+ */
+function describeError(error) {
+    if (error instanceof ServiceUnavailableError) {
+        return { status: 503, code: error.code, message: error.message, retryAfter: error.retryAfter };
+    }
+    if (error instanceof LimitExceededError) {
+        return { status: 429, code: error.code, message: error.message, retryAfter: error.retryAfter };
+    }
+    // Timeouts first: they are connection errors too
+    if (error instanceof OpenAI.APIConnectionTimeoutError) {
+        return { status: 504, code: 'upstream_timeout', message: 'The language model took too long to respond', retryAfter: null };
+    }
+    if (error instanceof OpenAI.APIConnectionError) {
+        return { status: 502, code: 'upstream_unreachable', message: 'The language model could not be reached', retryAfter: null };
+    }
+    if (error instanceof OpenAI.RateLimitError) {
+        return {
+            status: 503,
+            code: 'upstream_rate_limited',
+            message: 'The language model is busy, please try again shortly',
+            retryAfter: retryAfterSeconds(error)
+        };
+    }
+    if (error instanceof OpenAI.AuthenticationError || error instanceof OpenAI.PermissionDeniedError) {
+        return { status: 502, code: 'upstream_misconfigured', message: 'The language model rejected this server\'s credentials', retryAfter: null };
+    }
+    if (error instanceof OpenAI.APIError) {
+        return { status: 502, code: 'upstream_error', message: 'The language model returned an error', retryAfter: null };
+    }
+    if (isConnectionError(error)) {
+        return { status: 503, code: 'database_unavailable', message: 'The database is unavailable, please try again shortly', retryAfter: 30 };
+    }
+    return { status: 500, code: 'internal_error', message: 'An error occurred while processing your request', retryAfter: null };
+}
+
+// Whether the error came from the OpenAI API rather than from this server
+function isUpstreamError(error) {
+    return error instanceof OpenAI.APIError;
+}
+
+module.exports = {
+    ServiceUnavailableError,
+    LimitExceededError,
+    isConnectionError,
+    describeError,
+    isUpstreamError
+};
@@ -0,0 +1,248 @@
+// lib/sessionStore.js
+//
+// Conversation history per session. Recent sessions are cached in memory
+// (least recently used first out, idle ones expire); anything not cached is
+// rebuilt from chat_messages, so history survives restarts and is shared by
+// every instance writing to the same database. Sessions are kept apart per
+// chatbot, so one session id used with two bots has two histories. A session
+// is reset by logging a 'reset' row; only messages after the latest one count.
+const { encode } = require('gpt-3-encoder');
+
+const RESET_ROLE = 'reset';
+
+// Rough per-message overhead of the chat format, in tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+function countTokens(message) {
+    return encode(message.content || '').length + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function sessionKey(chatbotId, sessionId) {
+    return `${chatbotId}\u0000${sessionId}`;
+}
+
+class SessionStore {
+    /**
+     * @param {object} options
+     * @param {Pool} options.pool              chat_messages lives here
+     * @param {WriteQueue} options.writer      writes reset markers (defaults to the pool)
+     * @param {object} options.llm             provider (lib/llmProviders.js) summarizing older turns
+     * @param {number} options.ttlMs           idle time before a cached session is dropped
+     * @param {number} options.maxSessions     cached sessions kept in memory
+     * @param {number} options.maxMessages     messages kept per session
+     * @param {number} options.historyTokens   token budget for history sent to the model
+     */
+    constructor({
+        pool,
+        writer = null,
+        llm,
+        ttlMs = 2 * 60 * 60 * 1000,
+        maxSessions = 1000,
+        maxMessages = 40,
+        historyTokens = 1500,
+        summaryModel = 'gpt-4o-mini'
+    }) {
+        this.pool = pool;
+        this.writer = writer || { write: (text, params) => pool.query(text, params) };
+        this.llm = llm;
+        this.ttlMs = ttlMs;
+        this.maxSessions = maxSessions;
+        this.maxMessages = maxMessages;
+        this.historyTokens = historyTokens;
+        this.summaryModel = summaryModel;
+        // chatbot + session -> { messages, summary, summarizedCount, lastUsed }; Map order is LRU order
+        this.sessions = new Map();
+
+        this.sweepTimer = setInterval(() => this.evictExpired(), Math.min(ttlMs, 5 * 60 * 1000));
+        this.sweepTimer.unref();
+    }
+
+    // Messages of the session, oldest first, as { role, content }
+    async getHistory(chatbotId, sessionId) {
+        const session = await this.load(chatbotId, sessionId);
+        return session.messages.slice();
+    }
+
+    /**
+     * History to send with the next question: the most recent turns that fit
+     * the token budget, preceded by a system message summarizing everything
+     * older when some turns had to be left out. `usage` (a TurnUsage)
+     * records the summary call.
+     */
+    async promptHistory(chatbotId, sessionId, usage = null) {
+        const session = await this.load(chatbotId, sessionId);
+        const { messages } = session;
+
+        // Walk back from the newest message, keeping whole user/assistant turns
+        let budget = this.historyTokens;
+        let start = messages.length;
+        while (start > 0) {
+            let turnStart = start - 1;
+            if (messages[turnStart].role === 'assistant' && turnStart > 0 && messages[turnStart - 1].role === 'user') {
+                turnStart--;
+            }
+            const cost = messages.slice(turnStart, start).reduce((sum, message) => sum + countTokens(message), 0);
+            if (cost > budget) break;
+            budget -= cost;
+            start = turnStart;
+        }
+
+        if (start === 0) {
+            return messages.slice();
+        }
+
+        const summary = await this.summarize(session, start, usage);
+        const recent = messages.slice(start);
+        return summary
+            ? [{ role: 'system', content: `Summary of the earlier conversation: ${summary}` }, ...recent]
+            : recent;
+    }
+
+    append(chatbotId, sessionId, newMessages) {
+        const key = sessionKey(chatbotId, sessionId);
+        const session = this.sessions.get(key);
+        if (!session) {
+            // Not cached: the next load rebuilds it from the database
+            return;
+        }
+        session.messages.push(...newMessages);
+        const excess = session.messages.length - this.maxMessages;
+        if (excess > 0) {
+            session.messages.splice(0, excess);
+            session.summarizedCount = Math.max(0, session.summarizedCount - excess);
+        }
+        this.touch(key, session);
+    }
+
+    /**
+     * Forgets the conversation here and, through the marker row, on every
+     * instance. Only the participant who asked its questions may: resolves
+     * false and changes nothing when any of them was logged under another
+     * qualtricsId.
+     */
+    async reset(bot, sessionId, qualtricsId) {
+        const others = await this.pool.query(
+            `SELECT 1 FROM chat_messages
+             WHERE session_id = $1 AND chatbot_id = $2 AND role = 'user' AND qualtrics_id IS DISTINCT FROM $3
+             LIMIT 1`,
+            [sessionId, bot.id, qualtricsId]
+        );
+        if (others.rows.length > 0) {
+            return false;
+        }
+        await this.writer.write(
+            `INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id, bot_version, timestamp)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [qualtricsId, sessionId, RESET_ROLE, '', bot.id, bot.version, new Date()]
+        );
+        this.sessions.delete(sessionKey(bot.id, sessionId));
+        return true;
+    }
+
+    async load(chatbotId, sessionId) {
+        const key = sessionKey(chatbotId, sessionId);
+        const cached = this.sessions.get(key);
+        if (cached && Date.now() - cached.lastUsed <= this.ttlMs) {
+            this.touch(key, cached);
+            return cached;
+        }
+
+        const session = {
+            messages: await this.fetchMessages(chatbotId, sessionId),
+            summary: null,
+            summarizedCount: 0,
+            lastUsed: Date.now()
+        };
+        this.touch(key, session);
+        return session;
+    }
+
+    async fetchMessages(chatbotId, sessionId) {
+        if (!sessionId) {
+            return [];
+        }
+        try {
+            const result = await this.pool.query(
+                `SELECT role, content FROM (
+                    SELECT id, role, content FROM chat_messages
+                    WHERE session_id = $1 AND chatbot_id = $2 AND role IN ('user', 'assistant')
+                      AND id > COALESCE((
+                          SELECT MAX(id) FROM chat_messages
+                          WHERE session_id = $1 AND chatbot_id = $2 AND role = $3
+                      ), 0)
+                    ORDER BY id DESC
+                    LIMIT $4
+                ) recent ORDER BY id`,
+                [sessionId, chatbotId, RESET_ROLE, this.maxMessages]
+            );
+            return result.rows.map(({ role, content }) => ({ role, content }));
+        } catch (error) {
+            console.error(`Could not rebuild history for session ${sessionId}:`, error.message);
+            return [];
+        }
+    }
+
+    // Summary of messages[0..count), extended incrementally from the last one
+    async summarize(session, count, usage = null) {
+        if (session.summary && session.summarizedCount >= count) {
+            return session.summary;
+        }
+
+        const pending = session.messages.slice(session.summarizedCount, count);
+        const transcript = pending
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+            .join('\n');
+
+        try {
+            const completion = await this.llm.complete({
+                model: this.summaryModel,
+                temperature: 0,
+                max_tokens: 250,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'Summarize this conversation about oral history interviews in a few sentences. ' +
+                            'Keep the narrators, interview numbers, events and open questions that were discussed.'
+                    },
+                    {
+                        role: 'user',
+                        content: session.summary
+                            ? `Summary so far: ${session.summary}\n\nLater messages:\n${transcript}`
+                            : transcript
+                    }
+                ]
+            });
+            if (usage) usage.addCompletion(completion);
+            session.summary = completion.text.trim();
+            session.summarizedCount = count;
+        } catch (error) {
+            // Older turns are simply left out until summarizing works again
+            console.error('Could not summarize session history:', error.message);
+        }
+        return session.summary;
+    }
+
+    touch(key, session) {
+        session.lastUsed = Date.now();
+        this.sessions.delete(key);
+        this.sessions.set(key, session);
+
+        while (this.sessions.size > this.maxSessions) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+    }
+
+    evictExpired() {
+        const now = Date.now();
+        for (const [key, session] of this.sessions) {
+            if (now - session.lastUsed > this.ttlMs) {
+                this.sessions.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    SessionStore,
+    RESET_ROLE
+};
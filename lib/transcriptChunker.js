@@ -0,0 +1,343 @@
+// lib/transcriptChunker.js
+const { encode } = require('gpt-3-encoder');
+const { splitSentences } = require('./sentences');
+const { chunkLanguages } = require('./language');
+
+// Pages are joined with this separator when computing character offsets
+const PAGE_SEPARATOR = '\n\n';
+
+// Labels that mark the interviewer's side of the conversation. Any other
+// label ("ROBERT VAZQUEZ-PACHECO:", "A:") is treated as the narrator.
+const DEFAULT_INTERVIEWERS = ['Q', 'SARAH SCHULMAN', 'JIM HUBBARD', 'INTERVIEWER'];
+
+// "SARAH SCHULMAN: ...", "Q: ...", "A: ..." at the start of a line. Only
+// labels naming a known speaker start a turn: "ACT UP: ..." or "NOTE: ..."
+// look the same but are part of what someone said.
+const SPEAKER_LABEL = /^([\p{Lu}][\p{Lu}.'’\- ]*[\p{Lu}.]|Q|A)\s*:\s+/u;
+
+// "Interviewee: Robert Vazquez-Pacheco" in a transcript's header
+const HEADER_NAME = /^\s*(Interviewee|Narrator|Interviewer)\s*:\s*(\S.*?)\s*$/gim;
+
+function countTokens(text) {
+    return encode(text).length;
+}
+
+// Labels and names compared without case or accents ("MOISES" is "Moisés")
+function speakerKey(name) {
+    return name.normalize('NFD').replace(/\p{M}/gu, '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Chunks oral-history transcripts along speaker turns. An interviewer's
+ * question and the narrator's answer are kept in one chunk when they fit,
+ * consecutive chunks share `overlapTokens` worth of trailing sentences, and
+ * turns longer than `maxTokens` are split on sentence boundaries.
+ */
+class TranscriptChunker {
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens || 500;
+        this.overlapTokens = options.overlapTokens !== undefined ? options.overlapTokens : 50;
+        this.interviewers = new Set((options.interviewers || DEFAULT_INTERVIEWERS).map(speakerKey));
+    }
+
+    // doc: { title, pages: [pageText, ...], speakers: [narrator name, ...] }
+    chunkDocument(doc) {
+        const units = this.groupExchanges(this.splitIntoSegments(doc, this.knownSpeakers(doc)));
+        const chunks = [];
+        let current = [];
+        let currentTokens = 0;
+
+        const flush = () => {
+            // A chunk made only of the previous chunk's overlap adds nothing
+            if (!current.some(piece => !piece.overlap)) return;
+            chunks.push(this.buildChunk(doc.title, current));
+            const overlap = this.takeOverlap(current);
+            current = overlap;
+            currentTokens = overlap.reduce((sum, piece) => sum + piece.tokens, 0);
+        };
+
+        for (const unit of units) {
+            const unitTokens = unit.reduce((sum, piece) => sum + piece.tokens, 0);
+
+            if (currentTokens + unitTokens <= this.maxTokens) {
+                current.push(...unit);
+                currentTokens += unitTokens;
+                continue;
+            }
+
+            if (unitTokens <= this.maxTokens) {
+                // Start a fresh chunk so the exchange stays together, trimming
+                // the overlap if the two don't fit side by side
+                flush();
+                while (current.length > 0 && currentTokens + unitTokens > this.maxTokens) {
+                    currentTokens -= current.shift().tokens;
+                }
+                current.push(...unit);
+                currentTokens += unitTokens;
+                continue;
+            }
+
+            // The exchange alone is too long: fill chunks sentence by sentence
+            for (const piece of unit) {
+                if (currentTokens + piece.tokens > this.maxTokens) {
+                    flush();
+                    while (current.length > 0 && currentTokens + piece.tokens > this.maxTokens) {
+                        currentTokens -= current.shift().tokens;
+                    }
+                }
+                current.push(piece);
+                currentTokens += piece.tokens;
+            }
+        }
+
+        flush();
+
+        return chunks;
+    }
+
+    // First pass over a transcript: who may speak in it. That is Q and A, the
+    // interviewers, the names in its header and the ones the caller passes
+    // from metadata.csv. When none of those names the narrator, the most
+    // frequent label that isn't an interviewer's is taken to be theirs.
+    knownSpeakers(doc) {
+        const interviewers = new Set(this.interviewers);
+        const names = new Set(['Q', 'A', ...interviewers]);
+        let narrators = 0;
+        for (const name of doc.speakers || []) {
+            names.add(speakerKey(name));
+            narrators++;
+        }
+        for (const [, field, name] of (doc.pages[0] || '').matchAll(HEADER_NAME)) {
+            names.add(speakerKey(name));
+            if (field.toLowerCase() === 'interviewer') {
+                interviewers.add(speakerKey(name));
+            } else {
+                narrators++;
+            }
+        }
+
+        if (narrators === 0) {
+            const counts = new Map();
+            for (const line of doc.pages.join('\n').split('\n')) {
+                const label = line.trimStart().match(SPEAKER_LABEL);
+                const key = label && speakerKey(label[1]);
+                if (key && !interviewers.has(key)) {
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+            }
+            const [narrator] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+            if (narrator) names.add(narrator);
+        }
+
+        return { names, interviewers };
+    }
+
+    // The speaker a line opens with, or null
+    speakerOf(line, speakers) {
+        const label = line.trimStart().match(SPEAKER_LABEL);
+        if (!label || !speakers.names.has(speakerKey(label[1]))) return null;
+        return label[1].trim().toUpperCase();
+    }
+
+    // Splits pages into paragraphs and paragraphs into speaker turns. Every
+    // segment carries its page, speaker and character range in the document
+    // text (the pages joined by PAGE_SEPARATOR).
+    splitIntoSegments(doc, speakers) {
+        const segments = [];
+        let pageOffset = 0;
+        let speaker = null;
+
+        doc.pages.forEach((pageText, index) => {
+            // A block ends at a blank line or where a line opens with a speaker label
+            const blocks = [];
+            let blockStart = null;
+            let lineOffset = 0;
+
+            for (const line of pageText.split('\n')) {
+                if (!line.trim()) {
+                    if (blockStart !== null) {
+                        blocks.push([blockStart, lineOffset]);
+                        blockStart = null;
+                    }
+                } else {
+                    if (blockStart !== null && this.speakerOf(line, speakers)) {
+                        blocks.push([blockStart, lineOffset]);
+                        blockStart = null;
+                    }
+                    if (blockStart === null) {
+                        blockStart = lineOffset;
+                    }
+                }
+                lineOffset += line.length + 1;
+            }
+            if (blockStart !== null) {
+                blocks.push([blockStart, pageText.length]);
+            }
+
+            for (const [blockStart, blockEnd] of blocks) {
+                const raw = pageText.slice(blockStart, blockEnd);
+                const text = raw.trim();
+                if (!text) continue;
+
+                const label = this.speakerOf(text, speakers);
+                if (label) {
+                    speaker = label;
+                }
+
+                const leading = raw.length - raw.trimStart().length;
+                segments.push({
+                    text,
+                    page: index + 1,
+                    speaker,
+                    role: this.roleOf(speaker, speakers),
+                    startsTurn: Boolean(label),
+                    charStart: pageOffset + blockStart + leading
+                });
+            }
+
+            pageOffset += pageText.length + PAGE_SEPARATOR.length;
+        });
+
+        return segments;
+    }
+
+    roleOf(speaker, speakers) {
+        if (!speaker) return null;
+        return speakers.interviewers.has(speakerKey(speaker)) ? 'interviewer' : 'narrator';
+    }
+
+    // Groups segments into exchanges: an interviewer turn followed by the
+    // narrator's answer. Each exchange is returned as a list of sentence-sized
+    // pieces so oversized turns can be split and overlap measured.
+    groupExchanges(segments) {
+        const units = [];
+        let unit = [];
+        let previousRole = null;
+
+        for (const segment of segments) {
+            const opensExchange = segment.startsTurn && segment.role === 'interviewer' && previousRole !== 'interviewer';
+            if (opensExchange && unit.length > 0) {
+                units.push(unit);
+                unit = [];
+            }
+            unit.push(...this.toPieces(segment));
+            previousRole = segment.role;
+        }
+        if (unit.length > 0) {
+            units.push(unit);
+        }
+
+        return units;
+    }
+
+    toPieces(segment) {
+        const base = {
+            page: segment.page,
+            speaker: segment.speaker,
+            role: segment.role
+        };
+        const pieces = [];
+        for (const sentence of splitSentences(segment.text, segment.charStart)) {
+            const sentenceTokens = countTokens(sentence.text);
+            if (sentenceTokens <= this.maxTokens) {
+                pieces.push({ ...base, ...sentence, tokens: sentenceTokens, newBlock: false });
+            } else {
+                pieces.push(...this.splitOnWords(sentence).map(part => ({ ...base, ...part, newBlock: false })));
+            }
+        }
+        if (pieces.length > 0) {
+            pieces[0].newBlock = true;
+        }
+        return pieces;
+    }
+
+    // Last resort for a "sentence" longer than maxTokens (usually a PDF
+    // extraction artefact): cut it into word runs that fit.
+    splitOnWords(sentence) {
+        const parts = [];
+        const words = /\S+/g;
+        let partStart = null;
+        let partEnd = 0;
+        let match;
+
+        while ((match = words.exec(sentence.text)) !== null) {
+            const end = match.index + match[0].length;
+            if (partStart !== null && countTokens(sentence.text.slice(partStart, end)) > this.maxTokens) {
+                parts.push(this.makePart(sentence, partStart, partEnd));
+                partStart = null;
+            }
+            if (partStart === null) partStart = match.index;
+            partEnd = end;
+        }
+        if (partStart !== null) {
+            parts.push(this.makePart(sentence, partStart, partEnd));
+        }
+        return parts;
+    }
+
+    makePart(sentence, start, end) {
+        const text = sentence.text.slice(start, end);
+        return {
+            text,
+            tokens: countTokens(text),
+            charStart: sentence.charStart + start,
+            charEnd: sentence.charStart + end
+        };
+    }
+
+    // Trailing pieces of a finished chunk that are repeated at the start of
+    // the next one, up to overlapTokens
+    takeOverlap(pieces) {
+        const overlap = [];
+        let tokens = 0;
+        for (let i = pieces.length - 1; i >= 0; i--) {
+            if (tokens + pieces[i].tokens > this.overlapTokens) break;
+            overlap.unshift({ ...pieces[i], overlap: true });
+            tokens += pieces[i].tokens;
+        }
+        return overlap;
+    }
+
+    buildChunk(source, pieces) {
+        let text = '';
+        pieces.forEach((piece, i) => {
+            if (i > 0) {
+                text += piece.newBlock ? '\n' : ' ';
+            }
+            text += piece.text;
+        });
+
+        const speakers = [];
+        let labelledTokens = 0;
+        let narratorTokens = 0;
+        for (const piece of pieces) {
+            if (piece.speaker && !speakers.includes(piece.speaker)) {
+                speakers.push(piece.speaker);
+            }
+            if (piece.role) labelledTokens += piece.tokens;
+            if (piece.role === 'narrator') narratorTokens += piece.tokens;
+        }
+
+        return {
+            text,
+            source,
+            tokens: countTokens(text),
+            pageStart: pieces[0].page,
+            pageEnd: pieces[pieces.length - 1].page,
+            charStart: pieces[0].charStart,
+            charEnd: pieces[pieces.length - 1].charEnd,
+            speakers,
+            // Share of the chunk spoken by the narrator; null when the
+            // transcript has no speaker labels at all
+            narratorShare: labelledTokens > 0 ? Math.round((narratorTokens / labelledTokens) * 100) / 100 : null,
+            // Main language, and a second one when the narrator switches
+            ...chunkLanguages(text)
+        };
+    }
+}
+
+module.exports = {
+    TranscriptChunker,
+    DEFAULT_INTERVIEWERS,
+    PAGE_SEPARATOR
+};
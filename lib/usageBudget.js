@@ -0,0 +1,272 @@
+// lib/usageBudget.js
+//
+// Token costs of chat turns and the spend caps of the study. Each turn's
+// cost is the `usage` of every completion made for it (the answer and its
+// repairs, query rewrites, translations, session summaries, LLM reranking)
+// priced per model, plus an estimate for the texts it embedded; it is
+// stored on the turns row, and the caps are checked against the sums there
+// before a turn runs. Passage searches (GET /api/search) are priced the same
+// way, stored in the searches table and count toward the daily cap.
+const { encode } = require('gpt-3-encoder');
+const { LimitExceededError, isConnectionError } = require('./serviceErrors');
+
+// US dollars per million tokens. Models are matched by the longest prefix,
+// so dated snapshots ("gpt-4o-2024-08-06") get their family's price.
+const DEFAULT_PRICES = {
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4-0125-preview': { input: 10, output: 30 },
+    'gpt-4-1106-preview': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 },
+    'text-embedding-ada-002': { input: 0.1, output: 0 },
+    // The offline provider (lib/llmProviders.js) is free
+    'local-': { input: 0, output: 0 }
+};
+
+const DEFAULT_MESSAGES = {
+    participant: 'Thank you for all your questions! You have reached the number of questions available ' +
+        'in this study, so the chatbot can\'t answer any more.',
+    daily: 'The chatbot has answered as many questions as it can today. Please come back tomorrow.'
+};
+
+/**
+ * Prices per model, with MODEL_PRICES-style overrides given as JSON:
+ *   {"my-model": {"input": 0.5, "output": 1.5}}
+ */
+function loadPrices(overrides) {
+    if (!overrides) {
+        return { ...DEFAULT_PRICES };
+    }
+    const parsed = typeof overrides === 'string' ? JSON.parse(overrides) : overrides;
+    Object.entries(parsed).forEach(([model, price]) => {
+        if (!price || !Number.isFinite(price.input) || !Number.isFinite(price.output || 0)) {
+            throw new Error(`Price for ${model} needs numeric "input" and "output" (USD per million tokens)`);
+        }
+    });
+    return { ...DEFAULT_PRICES, ...parsed };
+}
+
+function priceOf(prices, model) {
+    if (!model) return null;
+    const prefix = Object.keys(prices)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+// Tokens the embedding model is sent for these texts, estimated with the GPT tokenizer
+function estimateEmbeddingTokens(texts) {
+    return texts.filter(Boolean).reduce((sum, text) => sum + encode(text).length, 0);
+}
+
+/**
+ * Tokens of every provider call made for one chat turn: each completion's
+ * `usage` with its model, and the estimated tokens of the embedded texts.
+ * The server creates one per turn and hands it to whatever calls the
+ * provider on the turn's behalf.
+ */
+class TurnUsage {
+    constructor() {
+        this.completions = [];
+        this.embeddingTokens = 0;
+    }
+
+    // A provider completion, { model, usage }; calls without usage add nothing
+    addCompletion({ model = null, usage = null }) {
+        if (usage) {
+            this.completions.push({ model, usage });
+        }
+    }
+
+    addEmbedding(texts) {
+        this.embeddingTokens += estimateEmbeddingTokens(texts);
+    }
+
+    // Token counts summed over the completions, null before the first
+    get totals() {
+        if (this.completions.length === 0) return null;
+        return this.completions.reduce((sum, { usage }) => ({
+            prompt_tokens: sum.prompt_tokens + usage.prompt_tokens,
+            completion_tokens: sum.completion_tokens + usage.completion_tokens,
+            total_tokens: sum.total_tokens + usage.total_tokens
+        }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+    }
+}
+
+class UsageBudget {
+    constructor({ pool, prices, dailyBudget = null, participantBudget = null, messages = {}, log = console }) {
+        this.pool = pool;
+        this.prices = prices || loadPrices();
+        this.dailyBudget = dailyBudget;
+        this.participantBudget = participantBudget;
+        this.messages = {
+            participant: messages.participant || DEFAULT_MESSAGES.participant,
+            daily: messages.daily || DEFAULT_MESSAGES.daily
+        };
+        this.log = log;
+        this.unpriced = new Set();
+    }
+
+    get capped() {
+        return Boolean(this.dailyBudget || this.participantBudget);
+    }
+
+    /**
+     * Dollars for a turn's usage (a TurnUsage), its embeddings priced for
+     * `embeddingModel`, or null when a model used has no price (logged once
+     * per model).
+     */
+    cost({ completions, embeddingTokens }, embeddingModel = null) {
+        let total = 0;
+        for (const { model, usage } of completions) {
+            const price = this.lookup(model);
+            if (!price) return null;
+            total += (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / 1e6;
+        }
+        if (embeddingTokens > 0) {
+            const price = this.lookup(embeddingModel);
+            if (!price) return null;
+            total += (embeddingTokens * price.input) / 1e6;
+        }
+        return Math.round(total * 1e6) / 1e6;
+    }
+
+    lookup(model) {
+        const price = priceOf(this.prices, model);
+        if (!price && !this.unpriced.has(model)) {
+            this.unpriced.add(model);
+            this.log.warn(`No price for model ${model}; its turns are stored without a cost (set MODEL_PRICES)`);
+        }
+        return price;
+    }
+
+    /**
+     * Refuses a new turn once today's spend (UTC) or the participant's total
+     * reaches its cap. Participants without an id, and searches, only count
+     * toward the daily cap. When the database is unreachable the turn is allowed: the caps are
+     * a budget guard, not worth stopping the study for.
+     */
+    async check(qualtricsId) {
+        if (!this.capped) return;
+        const participant = this.participantBudget && qualtricsId && qualtricsId !== 'unknown' ? qualtricsId : null;
+
+        let spend;
+        try {
+            const result = await this.pool.query(
+                `SELECT COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= $1), 0) +
+                            (SELECT COALESCE(SUM(cost_usd), 0) FROM searches WHERE created_at >= $1) AS today,
+                        COALESCE(SUM(cost_usd) FILTER (WHERE qualtrics_id = $2), 0) AS participant
+                 FROM turns
+                 WHERE created_at >= $1 OR qualtrics_id = $2`,
+                [startOfDay(new Date()), participant]
+            );
+            spend = result.rows[0];
+        } catch (error) {
+            if (!isConnectionError(error)) throw error;
+            this.log.warn('Could not check spend caps, database unavailable:', error.message);
+            return;
+        }
+
+        if (participant && Number(spend.participant) >= this.participantBudget) {
+            throw new LimitExceededError(this.messages.participant, { code: 'participant_budget_exhausted' });
+        }
+        if (this.dailyBudget && Number(spend.today) >= this.dailyBudget) {
+            const tomorrow = startOfDay(new Date());
+            tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+            throw new LimitExceededError(this.messages.daily, {
+                code: 'daily_budget_exhausted',
+                retryAfter: Math.ceil((tomorrow - Date.now()) / 1000)
+            });
+        }
+    }
+
+    /**
+     * Spend per bot and UTC day between `from` and `to` (Dates, either may be
+     * null), optionally for some bots only. Searches belong to no bot: they
+     * are listed per day, and added to the total, when no bot is asked for.
+     */
+    async report({ from = null, to = null, chatbotIds = [] } = {}) {
+        const result = await this.pool.query(
+            `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, chatbot_id,
+                    COUNT(*) AS turns,
+                    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                    COALESCE(SUM(embedding_tokens), 0) AS embedding_tokens,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+                    COUNT(*) FILTER (WHERE cost_usd IS NULL) AS unpriced_turns
+             FROM turns
+             WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+               AND ($2::timestamptz IS NULL OR created_at < $2)
+               AND (cardinality($3::text[]) = 0 OR chatbot_id = ANY($3))
+             GROUP BY 1, 2
+             ORDER BY 1, 2`,
+            [from, to, chatbotIds]
+        );
+
+        const searches = chatbotIds.length > 0 ? [] : (await this.pool.query(
+            `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+                    COUNT(*) AS searches,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+                    COUNT(*) FILTER (WHERE cost_usd IS NULL) AS unpriced_searches
+             FROM searches
+             WHERE ($1::timestamptz IS NULL OR created_at >= $1)
+               AND ($2::timestamptz IS NULL OR created_at < $2)
+             GROUP BY 1
+             ORDER BY 1`,
+            [from, to]
+        )).rows.map(row => ({
+            day: row.day,
+            searches: Number(row.searches),
+            costUsd: Number(row.cost_usd),
+            unpricedSearches: Number(row.unpriced_searches)
+        }));
+
+        const rows = result.rows.map(row => ({
+            day: row.day,
+            chatbotId: row.chatbot_id,
+            turns: Number(row.turns),
+            promptTokens: Number(row.prompt_tokens),
+            completionTokens: Number(row.completion_tokens),
+            embeddingTokens: Number(row.embedding_tokens),
+            costUsd: Number(row.cost_usd),
+            unpricedTurns: Number(row.unpriced_turns)
+        }));
+        const sum = key => {
+            const totals = new Map();
+            rows.forEach(row => {
+                const entry = totals.get(row[key]) || { [key]: row[key], turns: 0, costUsd: 0 };
+                entry.turns += row.turns;
+                entry.costUsd = Math.round((entry.costUsd + row.costUsd) * 1e6) / 1e6;
+                totals.set(row[key], entry);
+            });
+            return [...totals.values()];
+        };
+
+        return {
+            from: from ? from.toISOString() : null,
+            to: to ? to.toISOString() : null,
+            caps: { dailyUsd: this.dailyBudget, participantUsd: this.participantBudget },
+            totalUsd: Math.round([...rows, ...searches].reduce((total, row) => total + row.costUsd, 0) * 1e6) / 1e6,
+            byBot: sum('chatbotId'),
+            byDay: sum('day'),
+            rows,
+            searches
+        };
+    }
+}
+
+function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    loadPrices,
+    estimateEmbeddingTokens,
+    TurnUsage,
+    UsageBudget
+};
@@ -0,0 +1,483 @@
+// lib/vectorIndex.js
+//
+// Nearest-neighbour indexes over chunk embeddings. Every index implements
+//
+//   async build(vectors, sources)        vectors: number[][], sources: string[]
+//   async search(query, { k, sources })  -> [{ index, score }] best first
+//
+// where `index` is the chunk's position in the embeddings file, `score` is
+// cosine similarity and `sources` optionally restricts the search to chunks
+// of the given PDFs. Indexes that keep vectors in memory also implement
+// similarity(a, b) between two stored chunks. Indexes that keep vectors in a
+// database also implement activate(), discard() and dropInactive(), so a new
+// build only replaces the stored one once the rest of the archive loaded.
+// Vectors are normalised once at build time, so scoring is a plain dot product.
+const crypto = require('crypto');
+
+function normalize(vector) {
+    const result = new Float32Array(vector.length);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) {
+        result[i] = vector[i] / norm;
+    }
+    return result;
+}
+
+// Binary heap ordered by `compare` (smallest first)
+class Heap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+// Keeps the k best hits seen so far without sorting everything
+class TopK {
+    constructor(k) {
+        this.k = k;
+        this.heap = new Heap((a, b) => a.score - b.score);
+    }
+
+    add(index, score) {
+        if (this.heap.size < this.k) {
+            this.heap.push({ index, score });
+        } else if (score > this.heap.peek().score) {
+            this.heap.pop();
+            this.heap.push({ index, score });
+        }
+    }
+
+    results() {
+        return this.heap.items.slice().sort((a, b) => b.score - a.score);
+    }
+}
+
+// Normalised vectors packed into one Float32Array, plus the chunk positions
+// of each source so a per-interview search only touches that interview.
+class VectorStore {
+    constructor(vectors, sources) {
+        this.count = vectors.length;
+        this.dimensions = vectors.length > 0 ? vectors[0].length : 0;
+        this.data = new Float32Array(this.count * this.dimensions);
+        vectors.forEach((vector, i) => {
+            this.data.set(normalize(vector), i * this.dimensions);
+        });
+
+        const bySource = new Map();
+        sources.forEach((source, i) => {
+            if (!bySource.has(source)) bySource.set(source, []);
+            bySource.get(source).push(i);
+        });
+        this.sourceIndices = new Map([...bySource].map(([source, indices]) => [source, Uint32Array.from(indices)]));
+    }
+
+    dot(query, index) {
+        const data = this.data;
+        const offset = index * this.dimensions;
+        let sum = 0;
+        for (let i = 0; i < this.dimensions; i++) {
+            sum += query[i] * data[offset + i];
+        }
+        return sum;
+    }
+
+    similarity(a, b) {
+        return this.dot(this.data.subarray(a * this.dimensions, (a + 1) * this.dimensions), b);
+    }
+
+    scan(query, k, sources) {
+        const top = new TopK(k);
+        if (sources) {
+            for (const source of sources) {
+                for (const index of this.sourceIndices.get(source) || []) {
+                    top.add(index, this.dot(query, index));
+                }
+            }
+        } else {
+            for (let index = 0; index < this.count; index++) {
+                top.add(index, this.dot(query, index));
+            }
+        }
+        return top.results();
+    }
+}
+
+class BruteForceIndex {
+    async build(vectors, sources) {
+        this.store = new VectorStore(vectors, sources);
+    }
+
+    get size() {
+        return this.store ? this.store.count : 0;
+    }
+
+    async search(query, { k = 5, sources = null } = {}) {
+        return this.store.scan(normalize(query), k, sources);
+    }
+
+    similarity(a, b) {
+        return this.store.similarity(a, b);
+    }
+}
+
+/**
+ * In-process Hierarchical Navigable Small World graph (Malkov & Yashunin).
+ * Searches restricted to some sources fall back to an exact scan of those
+ * sources' chunks, which is small and avoids filtered-graph recall problems.
+ */
+class HnswIndex {
+    constructor({ m = 16, efConstruction = 100, efSearch = 64 } = {}) {
+        this.m = m;
+        this.efConstruction = efConstruction;
+        this.efSearch = efSearch;
+        this.levelMultiplier = 1 / Math.log(m);
+    }
+
+    async build(vectors, sources) {
+        this.store = new VectorStore(vectors, sources);
+        this.links = [];
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        for (let i = 0; i < this.store.count; i++) {
+            this.insert(i);
+        }
+    }
+
+    get size() {
+        return this.store ? this.store.count : 0;
+    }
+
+    similarity(a, b) {
+        return this.store.similarity(a, b);
+    }
+
+    async search(query, { k = 5, sources = null } = {}) {
+        const normalized = normalize(query);
+        if (sources || this.entryPoint === -1) {
+            return this.store.scan(normalized, k, sources);
+        }
+
+        const score = index => this.store.dot(normalized, index);
+        let entry = this.entryPoint;
+        for (let level = this.maxLevel; level > 0; level--) {
+            entry = this.greedySearch(score, entry, level);
+        }
+        return this.searchLayer(score, entry, Math.max(this.efSearch, k), 0).slice(0, k);
+    }
+
+    insert(id) {
+        const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+        this.links[id] = Array.from({ length: level + 1 }, () => []);
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        const score = index => this.store.similarity(id, index);
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > level; l--) {
+            entry = this.greedySearch(score, entry, l);
+        }
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(score, entry, this.efConstruction, l);
+            const maxLinks = l === 0 ? this.m * 2 : this.m;
+            const neighbours = this.selectNeighbours(id, candidates, this.m);
+            this.links[id][l] = neighbours;
+
+            for (const neighbour of neighbours) {
+                const links = this.links[neighbour][l];
+                links.push(id);
+                if (links.length > maxLinks) {
+                    const ranked = links
+                        .map(index => ({ index, score: this.store.similarity(neighbour, index) }))
+                        .sort((a, b) => b.score - a.score);
+                    this.links[neighbour][l] = this.selectNeighbours(neighbour, ranked, maxLinks);
+                }
+            }
+            entry = candidates[0].index;
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+    }
+
+    // Neighbour selection heuristic from the paper: skip a candidate that is
+    // closer to an already selected neighbour than to the base node, so links
+    // also reach out to other clusters instead of all pointing inwards.
+    selectNeighbours(base, candidates, max) {
+        const selected = [];
+        for (const candidate of candidates) {
+            if (candidate.index === base) continue;
+            if (selected.length >= max) break;
+            const diverse = selected.every(index => this.store.similarity(candidate.index, index) < candidate.score);
+            if (diverse) selected.push(candidate.index);
+        }
+        // Fill up with the closest remaining candidates if the heuristic was strict
+        for (const candidate of candidates) {
+            if (selected.length >= max) break;
+            if (candidate.index !== base && !selected.includes(candidate.index)) selected.push(candidate.index);
+        }
+        return selected;
+    }
+
+    greedySearch(score, entry, level) {
+        let current = entry;
+        let currentScore = score(current);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighbour of this.links[current][level] || []) {
+                const neighbourScore = score(neighbour);
+                if (neighbourScore > currentScore) {
+                    current = neighbour;
+                    currentScore = neighbourScore;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    searchLayer(score, entry, ef, level) {
+        const visited = new Set([entry]);
+        const first = { index: entry, score: score(entry) };
+        const candidates = new Heap((a, b) => b.score - a.score); // best first
+        const results = new Heap((a, b) => a.score - b.score); // worst first
+        candidates.push(first);
+        results.push(first);
+
+        while (candidates.size > 0) {
+            const candidate = candidates.pop();
+            if (results.size >= ef && candidate.score < results.peek().score) break;
+
+            for (const neighbour of this.links[candidate.index][level] || []) {
+                if (visited.has(neighbour)) continue;
+                visited.add(neighbour);
+
+                const neighbourScore = score(neighbour);
+                if (results.size < ef || neighbourScore > results.peek().score) {
+                    const hit = { index: neighbour, score: neighbourScore };
+                    candidates.push(hit);
+                    results.push(hit);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.items.slice().sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Stores the vectors in Postgres with the pgvector extension. Each set of
+ * embeddings gets its own table named after its fingerprint, and a state row
+ * records which table is live. build() fills a new table next to the live
+ * one, which keeps serving searches until activate() points the state row
+ * at the new table; dropInactive() then removes the tables it replaced and
+ * discard() removes a new table whose archive failed to load. Unchanged
+ * embeddings reuse the live table.
+ */
+class PgVectorIndex {
+    constructor({ pool, table = 'chunk_embeddings' } = {}) {
+        if (!pool) {
+            throw new Error('The pgvector index needs a Postgres pool');
+        }
+        this.pool = pool;
+        this.baseTable = table;
+        this.table = null;
+        this.staged = false;
+    }
+
+    async build(vectors, sources) {
+        this.count = vectors.length;
+        const dimensions = vectors.length > 0 ? vectors[0].length : 0;
+        this.fingerprint = crypto.createHash('sha256')
+            .update(JSON.stringify(sources))
+            .update(Buffer.from(new Float32Array(vectors.flat()).buffer))
+            .digest('hex');
+
+        await this.pool.query('CREATE EXTENSION IF NOT EXISTS vector');
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS ${this.baseTable}_state (
+                id BOOLEAN PRIMARY KEY DEFAULT TRUE,
+                fingerprint TEXT NOT NULL
+            )
+        `);
+        // State rows from before generation tables point at the base table
+        await this.pool.query(`ALTER TABLE ${this.baseTable}_state ADD COLUMN IF NOT EXISTS table_name TEXT`);
+        const state = await this.pool.query(`SELECT fingerprint, table_name FROM ${this.baseTable}_state`);
+        if (state.rows.length > 0 && state.rows[0].fingerprint === this.fingerprint) {
+            this.table = state.rows[0].table_name || this.baseTable;
+            return;
+        }
+
+        this.table = `${this.baseTable}_${this.fingerprint.substring(0, 16)}`;
+        this.staged = true;
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            // Left over when a process died between build and discard
+            await client.query(`DROP TABLE IF EXISTS ${this.table}`);
+            await client.query(`
+                CREATE TABLE ${this.table} (
+                    id INTEGER PRIMARY KEY,
+                    source TEXT NOT NULL,
+                    embedding vector(${dimensions}) NOT NULL
+                )
+            `);
+
+            const batchSize = 200;
+            for (let start = 0; start < vectors.length; start += batchSize) {
+                const params = [];
+                const rows = [];
+                vectors.slice(start, start + batchSize).forEach((vector, i) => {
+                    params.push(start + i, sources[start + i], toSqlVector(normalize(vector)));
+                    rows.push(`($${params.length - 2}, $${params.length - 1}, $${params.length})`);
+                });
+                await client.query(`INSERT INTO ${this.table} (id, source, embedding) VALUES ${rows.join(', ')}`, params);
+            }
+
+            await client.query(`CREATE INDEX ON ${this.table} (source)`);
+            await client.query(`CREATE INDEX ON ${this.table} USING hnsw (embedding vector_cosine_ops)`);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Records the table build() filled as the live one
+    async activate() {
+        if (!this.staged) return;
+        await this.pool.query(`
+            INSERT INTO ${this.baseTable}_state (id, fingerprint, table_name) VALUES (TRUE, $1, $2)
+            ON CONFLICT (id) DO UPDATE SET fingerprint = EXCLUDED.fingerprint, table_name = EXCLUDED.table_name
+        `, [this.fingerprint, this.table]);
+        this.staged = false;
+    }
+
+    // Drops the table build() filled when it never became live
+    async discard() {
+        if (!this.staged) return;
+        await this.pool.query(`DROP TABLE IF EXISTS ${this.table}`);
+        this.staged = false;
+    }
+
+    // Drops every embeddings table other than this index's
+    async dropInactive() {
+        const pattern = new RegExp(`^${this.baseTable}(_[0-9a-f]{16})?$`);
+        const result = await this.pool.query('SELECT tablename FROM pg_tables WHERE schemaname = current_schema()');
+        const inactive = result.rows
+            .map(row => row.tablename)
+            .filter(name => pattern.test(name) && name !== this.table);
+        for (const name of inactive) {
+            await this.pool.query(`DROP TABLE IF EXISTS ${name}`);
+        }
+    }
+
+    get size() {
+        return this.count || 0;
+    }
+
+    // The HNSW index only looks at hnsw.ef_search candidates and pgvector
+    // filters them afterwards, so a search restricted to some PDFs would
+    // come back short. Those scan the PDFs' chunks exactly instead: the
+    // materialized subquery can't be ordered by the index.
+    async search(query, { k = 5, sources = null } = {}) {
+        const vector = toSqlVector(normalize(query));
+        const result = sources
+            ? await this.pool.query(`
+                WITH candidates AS MATERIALIZED (
+                    SELECT id, embedding FROM ${this.table} WHERE source = ANY($2)
+                )
+                SELECT id, 1 - (embedding <=> $1) AS score
+                FROM candidates
+                ORDER BY embedding <=> $1
+                LIMIT $3
+            `, [vector, sources, k])
+            : await this.pool.query(`
+                SELECT id, 1 - (embedding <=> $1) AS score
+                FROM ${this.table}
+                ORDER BY embedding <=> $1
+                LIMIT $2
+            `, [vector, k]);
+        return result.rows.map(row => ({ index: row.id, score: Number(row.score) }));
+    }
+}
+
+function toSqlVector(vector) {
+    return `[${Array.prototype.join.call(vector, ',')}]`;
+}
+
+function createVectorIndex(type = 'bruteforce', options = {}) {
+    switch (type) {
+        case 'bruteforce':
+            return new BruteForceIndex();
+        case 'hnsw':
+            return new HnswIndex(options.hnsw);
+        case 'pgvector':
+            return new PgVectorIndex({ pool: options.pool });
+        default:
+            throw new Error(`Unknown vector index "${type}" (expected bruteforce, hnsw or pgvector)`);
+    }
+}
+
+module.exports = {
+    normalize,
+    BruteForceIndex,
+    HnswIndex,
+    PgVectorIndex,
+    createVectorIndex
+};
@@ -0,0 +1,181 @@
+// lib/writeQueue.js
+//
+// Write-behind queue for the chat logs. Writes go straight to Postgres while
+// it is reachable; when a write fails because the database can't be reached
+// it is appended to a JSONL spool file instead, and the spool is replayed in
+// order once the database answers again. While anything is spooled, new
+// writes are spooled behind it so rows still arrive in the order they were
+// made. Statements therefore must not depend on values returned by earlier
+// writes (use subqueries on stable keys instead of RETURNING ids).
+const fs = require('fs');
+const path = require('path');
+const { isConnectionError } = require('./serviceErrors');
+
+class WriteQueue {
+    constructor({ pool, file, retryMs = 15000, log = console }) {
+        this.pool = pool;
+        this.file = file;
+        // Statements the database rejected on replay, kept for inspection
+        this.failedFile = `${file}.failed`;
+        // How many entries at the front of the spool a replay has written so
+        // far, so the spool is rewritten once per pass rather than per entry
+        // and a restart mid-replay doesn't write them again
+        this.offsetFile = `${file}.offset`;
+        this.retryMs = retryMs;
+        this.log = log;
+        this.pending = this.countSpooled();
+        this.replaying = false;
+        this.started = false;
+        this.timer = null;
+        this.lastError = null;
+        if (this.pending > 0) {
+            this.log.warn(`${this.pending} chat log write(s) spooled in ${this.file} from an earlier run`);
+        }
+    }
+
+    /**
+     * Runs an INSERT/UPDATE now, or spools it when the database is
+     * unreachable. Resolves once the statement is either written or safely on
+     * disk; other database errors reject as usual.
+     */
+    async write(text, params = []) {
+        if (this.pending > 0 || !this.started) {
+            return this.spool(text, params);
+        }
+        try {
+            await this.pool.query(text, params);
+        } catch (error) {
+            if (!isConnectionError(error)) {
+                throw error;
+            }
+            this.noteOutage(error);
+            this.spool(text, params);
+        }
+    }
+
+    // Replays whatever is spooled, then keeps retrying while writes are pending
+    start() {
+        this.started = true;
+        if (this.pending > 0) {
+            this.replay();
+        }
+    }
+
+    status() {
+        return {
+            queuedWrites: this.pending,
+            lastError: this.lastError
+        };
+    }
+
+    spool(text, params) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify({ text, params, queuedAt: new Date().toISOString() }) + '\n');
+        this.pending++;
+        this.scheduleReplay();
+    }
+
+    noteOutage(error) {
+        if (!this.lastError) {
+            this.log.warn(`Database unreachable, spooling chat logs to ${this.file}: ${error.message}`);
+        }
+        this.lastError = { message: error.message, at: new Date().toISOString() };
+    }
+
+    scheduleReplay() {
+        if (!this.started || this.timer || this.replaying) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.replay();
+        }, this.retryMs);
+        // A pending retry shouldn't keep the process alive on shutdown
+        this.timer.unref();
+    }
+
+    // Writes spooled statements in order until the spool is empty or the
+    // database becomes unreachable again
+    async replay() {
+        if (this.replaying) return;
+        this.replaying = true;
+        let written = 0;
+        let rejected = 0;
+        let reachable = true;
+        try {
+            // Writes spooled during the replay are picked up by the next pass
+            while (reachable && this.pending > 0) {
+                let replayed = this.readOffset();
+                for (const entry of this.readSpool()) {
+                    try {
+                        await this.pool.query(entry.text, entry.params);
+                        written++;
+                    } catch (error) {
+                        if (isConnectionError(error)) {
+                            this.noteOutage(error);
+                            reachable = false;
+                            break;
+                        }
+                        // Replaying it again won't help; set it aside so the rest goes through
+                        this.log.error(`Spooled write from ${entry.queuedAt} rejected, moved to ${this.failedFile}:`, error.message);
+                        fs.appendFileSync(this.failedFile, JSON.stringify({ ...entry, error: error.message }) + '\n');
+                        rejected++;
+                    }
+                    replayed++;
+                    this.pending--;
+                    fs.writeFileSync(this.offsetFile, String(replayed));
+                }
+                this.dropSpooled(replayed);
+            }
+        } finally {
+            this.replaying = false;
+        }
+
+        if (this.pending === 0) {
+            this.log.log(`Database reachable again, replayed ${written} spooled chat log write(s)` +
+                `${rejected > 0 ? `, ${rejected} rejected` : ''}`);
+            this.lastError = null;
+        } else {
+            this.scheduleReplay();
+        }
+    }
+
+    // Spooled entries not replayed yet, oldest first
+    readSpool() {
+        return this.readLines().slice(this.readOffset()).map(line => JSON.parse(line));
+    }
+
+    readLines() {
+        if (!fs.existsSync(this.file)) return [];
+        return fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+    }
+
+    readOffset() {
+        if (!fs.existsSync(this.offsetFile)) return 0;
+        return parseInt(fs.readFileSync(this.offsetFile, 'utf8'), 10) || 0;
+    }
+
+    countSpooled() {
+        return this.readSpool().length;
+    }
+
+    // Removes the first `count` entries in one rewrite. Writes made during a
+    // replay are only ever appended, so the replayed entries are always at
+    // the front. The offset goes first: a crash in between replays those
+    // entries again rather than skipping unreplayed ones.
+    dropSpooled(count) {
+        const remaining = this.readLines().slice(count);
+        this.pending = remaining.length;
+        if (count === 0) return;
+        fs.rmSync(this.offsetFile, { force: true });
+        if (remaining.length === 0) {
+            fs.unlinkSync(this.file);
+        } else {
+            const temporary = `${this.file}.tmp`;
+            fs.writeFileSync(temporary, remaining.join('\n') + '\n');
+            fs.renameSync(temporary, this.file);
+        }
+    }
+}
+
+module.exports = {
+    WriteQueue
+};
@@ -0,0 +1,52 @@
+// migrations/001_baseline.js
+//
+// The schema the server used to create at startup. Written with IF NOT
+// EXISTS so databases that already have these tables adopt it unchanged.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chat_messages (
+                id SERIAL PRIMARY KEY,
+                qualtrics_id VARCHAR(255),
+                session_id VARCHAR(255),
+                role VARCHAR(10),
+                content TEXT,
+                chatbot_id VARCHAR(50),
+                timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            ALTER TABLE chat_messages
+                ADD COLUMN IF NOT EXISTS rewritten_query TEXT,
+                ADD COLUMN IF NOT EXISTS bot_version VARCHAR(20),
+                ADD COLUMN IF NOT EXISTS sources JSONB,
+                ADD COLUMN IF NOT EXISTS latency_ms INTEGER,
+                ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+                ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS rule_firings (
+                id SERIAL PRIMARY KEY,
+                rule_id VARCHAR(100),
+                chatbot_id VARCHAR(50),
+                bot_version VARCHAR(20),
+                qualtrics_id VARCHAR(255),
+                session_id VARCHAR(255),
+                stage VARCHAR(10),
+                action VARCHAR(20),
+                match_type VARCHAR(20),
+                matched_text TEXT,
+                score REAL,
+                question TEXT,
+                detail TEXT,
+                timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS rule_firings');
+        await client.query('DROP TABLE IF EXISTS chat_messages');
+    }
+};
@@ -0,0 +1,23 @@
+// migrations/002_message_indexes.js
+//
+// Indexes for the lookups the server and exports make, and room in `role`
+// for values longer than ten characters.
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE chat_messages ALTER COLUMN role TYPE VARCHAR(20)');
+        await client.query('CREATE INDEX IF NOT EXISTS chat_messages_qualtrics_id_idx ON chat_messages (qualtrics_id)');
+        // Session history is rebuilt per bot and session in id order
+        await client.query('CREATE INDEX IF NOT EXISTS chat_messages_session_idx ON chat_messages (session_id, chatbot_id, id)');
+        await client.query('CREATE INDEX IF NOT EXISTS chat_messages_timestamp_idx ON chat_messages (timestamp)');
+        await client.query('CREATE INDEX IF NOT EXISTS rule_firings_session_idx ON rule_firings (session_id)');
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS rule_firings_session_idx');
+        await client.query('DROP INDEX IF EXISTS chat_messages_timestamp_idx');
+        await client.query('DROP INDEX IF EXISTS chat_messages_session_idx');
+        await client.query('DROP INDEX IF EXISTS chat_messages_qualtrics_id_idx');
+        await client.query('ALTER TABLE chat_messages ALTER COLUMN role TYPE VARCHAR(10)');
+    }
+};
@@ -0,0 +1,38 @@
+// migrations/003_turns.js
+//
+// One row per question/answer exchange, linking the two chat_messages rows
+// and recording how the answer was produced: the chunks retrieved with their
+// scores, the model, token usage, latency and any error.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS turns (
+                id SERIAL PRIMARY KEY,
+                qualtrics_id VARCHAR(255),
+                session_id VARCHAR(255),
+                chatbot_id VARCHAR(50),
+                bot_version VARCHAR(20),
+                user_message_id INTEGER REFERENCES chat_messages (id) ON DELETE SET NULL,
+                assistant_message_id INTEGER REFERENCES chat_messages (id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                model VARCHAR(100),
+                retrieved_chunk_ids INTEGER[],
+                retrieval_scores REAL[],
+                prompt_tokens INTEGER,
+                completion_tokens INTEGER,
+                total_tokens INTEGER,
+                latency_ms INTEGER,
+                error TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMPTZ
+            );
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS turns_session_idx ON turns (session_id, chatbot_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS turns_qualtrics_id_idx ON turns (qualtrics_id)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS turns');
+    }
+};
@@ -0,0 +1,22 @@
+// migrations/004_turn_keys.js
+//
+// A key generated by the server for each turn, stored on the turn and on its
+// chat_messages rows. Chat logs can be spooled to disk while the database is
+// down, so a turn finds its messages by this key rather than by ids returned
+// from earlier inserts.
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS turn_key UUID');
+        await client.query('ALTER TABLE turns ADD COLUMN IF NOT EXISTS turn_key UUID');
+        await client.query('CREATE UNIQUE INDEX IF NOT EXISTS turns_turn_key_idx ON turns (turn_key)');
+        await client.query('CREATE INDEX IF NOT EXISTS chat_messages_turn_key_idx ON chat_messages (turn_key)');
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS chat_messages_turn_key_idx');
+        await client.query('DROP INDEX IF EXISTS turns_turn_key_idx');
+        await client.query('ALTER TABLE turns DROP COLUMN IF EXISTS turn_key');
+        await client.query('ALTER TABLE chat_messages DROP COLUMN IF EXISTS turn_key');
+    }
+};
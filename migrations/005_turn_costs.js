@@ -0,0 +1,19 @@
+// migrations/005_turn_costs.js
+//
+// What each turn cost: the estimated tokens of its embedding calls and the
+// total in US dollars, summed for the spend caps and the admin spend report.
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE turns ADD COLUMN IF NOT EXISTS embedding_tokens INTEGER');
+        await client.query('ALTER TABLE turns ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6)');
+        // Daily spend is summed from the start of the day
+        await client.query('CREATE INDEX IF NOT EXISTS turns_created_at_idx ON turns (created_at)');
+    },
+
+    async down(client) {
+        await client.query('DROP INDEX IF EXISTS turns_created_at_idx');
+        await client.query('ALTER TABLE turns DROP COLUMN IF EXISTS cost_usd');
+        await client.query('ALTER TABLE turns DROP COLUMN IF EXISTS embedding_tokens');
+    }
+};
@@ -0,0 +1,16 @@
+// migrations/006_message_validation.js
+//
+// How each assistant answer fared against the answer format: the problems
+// found, the repairs made and what was still wrong ({ valid, problems,
+// repairs, remaining }, see lib/answerValidator.js). Null for scripted
+// answers and messages from before validation.
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS validation JSONB');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE chat_messages DROP COLUMN IF EXISTS validation');
+    }
+};
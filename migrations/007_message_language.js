@@ -0,0 +1,14 @@
+// migrations/007_message_language.js
+//
+// The language of each question and of the answer to it ("en", "es"; see
+// lib/language.js). Null for messages from before languages were detected.
+
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS language TEXT');
+    },
+
+    async down(client) {
+        await client.query('ALTER TABLE chat_messages DROP COLUMN IF EXISTS language');
+    }
+};
@@ -0,0 +1,26 @@
+// migrations/008_search_costs.js
+//
+// What each GET /api/search cost. Hybrid searches embed the query and may
+// have it translated, which counts toward the daily spend cap like turns do.
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS searches (
+                id SERIAL PRIMARY KEY,
+                mode VARCHAR(20),
+                prompt_tokens INTEGER,
+                completion_tokens INTEGER,
+                total_tokens INTEGER,
+                embedding_tokens INTEGER,
+                cost_usd NUMERIC(12, 6),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS searches_created_at_idx ON searches (created_at)');
+    },
+
+    async down(client) {
+        await client.query('DROP TABLE IF EXISTS searches');
+    }
+};
@@ -0,0 +1,377 @@
+// scripts/evaluate.js
+//
+// Usage: node scripts/evaluate.js <gold.jsonl> [--bot <id>] [--k <n>] [--retrieval-only]
+//                                 [--output <report.json>] [--baseline <report.json>]
+//
+// Runs a gold set of questions through retrieval and the chat pipeline and
+// reports retrieval and answer quality per question type. Each line of the
+// gold file is one question:
+//
+//   {"id": "bordowitz-fda", "type": "single-person",
+//    "question": "What did Gregg Bordowitz do at Seize Control of the FDA?",
+//    "history": [{"role": "user", "content": "..."}, {"role": "assistant", "content": "..."}],
+//    "filters": {"tags": ["..."]},
+//    "expected": {"interviews": ["3"], "pages": [{"interview": "3", "page": 12}], "facts": ["FDA"]}}
+//
+// `type` is single-person, comparative, thematic or follow-up; `history`,
+// `filters`, `pages` and `facts` are optional. Retrieval is scored on the
+// interviews of the first k passages (recall@k, reciprocal rank) and on
+// expected pages those passages cover. Answers are checked for a leading
+// citation, a single closing follow-up question, citations supported by the
+// retrieved passages, a cited expected interview and the key facts, after
+// the server's format validation and repair (each question's `validation`
+// lists what was repaired).
+//
+// The report holds no timestamps and lists questions by id, so reports from
+// two runs can be compared with diff; --baseline prints the change in each
+// metric against an earlier report. The LLM provider comes from the
+// environment as for the server (LLM_PROVIDER=local runs offline).
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { createProviderFromEnv } = require('../lib/llmProviders');
+const { AISearchEngine } = require('../lib/searchEngine');
+const { createReranker } = require('../lib/reranker');
+const { loadBotProfiles } = require('../lib/botProfiles');
+const { RuleEngine } = require('../lib/ruleEngine');
+const { matchRules, buildCompletion, validateCompletion, finishAnswer } = require('../lib/chatPipeline');
+const { normalizeFilters } = require('../lib/metadataFilters');
+const { splitSentences } = require('../lib/sentences');
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/evaluate.js <gold.jsonl> [--bot <id>] [--k <n>] [--retrieval-only] ' +
+    '[--output <report.json>] [--baseline <report.json>]';
+
+const QUESTION_TYPES = ['single-person', 'comparative', 'thematic', 'follow-up'];
+
+// Per-question metrics averaged in the summary, in report order
+const METRICS = [
+    'recallAtK', 'reciprocalRank', 'pageRecall',
+    'leadingCitation', 'singleFollowUp', 'citationsSupported', 'citedExpected', 'factRecall'
+];
+
+// English or Spanish answer formats (lib/language.js)
+const LEADING_CITATION = /^(From the transcript of Interview #\d+|I don't find information|De la transcripción de la Entrevista #\d+|No encuentro información)/;
+const FOLLOW_UP = /^(Would you like to know more about .+\?|¿Le gustaría saber más sobre .+\?)$/;
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            bot: { type: 'string' },
+            k: { type: 'string' },
+            'retrieval-only': { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            baseline: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+    if (positionals.length !== 1) {
+        throw new Error('Give one gold set file');
+    }
+    const k = values.k !== undefined ? parseInt(values.k, 10) : 5;
+    if (!(k > 0)) {
+        throw new Error(`--k must be a positive integer, got "${values.k}"`);
+    }
+
+    return {
+        help: false,
+        goldPath: path.resolve(positionals[0]),
+        botId: values.bot || process.env.DEFAULT_BOT_ID || 'direct-answers-bot',
+        k,
+        retrievalOnly: values['retrieval-only'],
+        outputPath: values.output && path.resolve(values.output),
+        baselinePath: values.baseline && path.resolve(values.baseline)
+    };
+}
+
+function readGoldSet(goldPath) {
+    const items = fs.readFileSync(goldPath, 'utf8')
+        .split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            const where = `${path.basename(goldPath)} line ${number}`;
+            let item;
+            try {
+                item = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${where}: ${error.message}`);
+            }
+            if (!item.id || !item.question) {
+                throw new Error(`${where}: needs an id and a question`);
+            }
+            if (!QUESTION_TYPES.includes(item.type)) {
+                throw new Error(`${where}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+            }
+            if (!item.expected || !Array.isArray(item.expected.interviews) || item.expected.interviews.length === 0) {
+                throw new Error(`${where}: expected.interviews must list at least one interview id`);
+            }
+            return {
+                ...item,
+                history: item.history || [],
+                expected: {
+                    interviews: item.expected.interviews.map(String),
+                    pages: (item.expected.pages || []).map(page => ({ interview: String(page.interview), page: Number(page.page) })),
+                    facts: item.expected.facts || []
+                }
+            };
+        });
+
+    const ids = new Set();
+    items.forEach(item => {
+        if (ids.has(item.id)) throw new Error(`Question id "${item.id}" is used twice`);
+        ids.add(item.id);
+    });
+    return items;
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+// Interviews in the order their first passage was retrieved
+function rankedInterviews(sources) {
+    return [...new Set(sources.map(source => source.interviewId))];
+}
+
+function scoreRetrieval(sources, expected, k) {
+    const topSources = sources.slice(0, k);
+    const ranked = rankedInterviews(topSources);
+    const found = expected.interviews.filter(id => ranked.includes(id));
+    const firstHit = rankedInterviews(sources).findIndex(id => expected.interviews.includes(id));
+    const pagesFound = expected.pages.filter(({ interview, page }) => topSources.some(source =>
+        source.interviewId === interview &&
+        source.pageStart !== null && source.pageStart <= page && page <= (source.pageEnd || source.pageStart)
+    ));
+
+    return {
+        retrieved: ranked,
+        recallAtK: found.length / expected.interviews.length,
+        reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+        pageRecall: expected.pages.length > 0 ? pagesFound.length / expected.pages.length : null
+    };
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function scoreAnswer(response, verification, expected) {
+    const sentences = splitSentences(response.trim());
+    const questions = sentences.filter(sentence => sentence.text.endsWith('?'));
+    const last = sentences[sentences.length - 1];
+    const cited = [...new Set(verification.citations.map(citation => citation.interviewId))];
+    const facts = expected.facts.filter(fact => normalizeText(response).includes(normalizeText(fact)));
+
+    return {
+        cited,
+        leadingCitation: LEADING_CITATION.test(response.trim()),
+        singleFollowUp: questions.length === 1 && questions[0] === last && FOLLOW_UP.test(last.text),
+        citationsSupported: verification.citations.length > 0 &&
+            verification.citations.every(citation => citation.status === 'supported'),
+        citedExpected: cited.some(id => expected.interviews.includes(id)),
+        factRecall: expected.facts.length > 0 ? facts.length / expected.facts.length : null,
+        citationWarnings: verification.warnings
+    };
+}
+
+async function evaluateQuestion(item, { searchEngine, llm, bot, ruleEngine, k, retrievalOnly }) {
+    const rewritten = await searchEngine.rewriteQuestion(item.question, item.history);
+    const rules = await matchRules(ruleEngine, item.question, rewritten);
+
+    let sources = [];
+    let response = null;
+    let verification = null;
+    let validation = null;
+    if (rules.cannedMatch) {
+        response = rules.cannedMatch.rule.answer;
+    } else {
+        const completion = await buildCompletion({
+            searchEngine,
+            bot,
+            question: item.question,
+            history: item.history,
+            promptHistory: item.history,
+            rewritten,
+            filters: normalizeFilters(item.filters),
+            rules
+        });
+        sources = completion.sources;
+        if (!retrievalOnly) {
+            const request = { ...bot.completion, messages: completion.messages };
+            const checked = await validateCompletion({
+                llm,
+                request,
+                completion: await llm.complete(request),
+                question: item.question,
+                ruleMatches: rules.matches,
+                sources,
+                interviews: searchEngine.metadata,
+                language: completion.language,
+                ambiguousNames: completion.ambiguousNames
+            });
+            response = checked.text;
+            validation = checked.validation;
+        }
+    }
+    if (response !== null) {
+        ({ response, verification } = finishAnswer(response, { ruleMatches: rules.matches, sources, interviews: searchEngine.metadata }));
+    }
+
+    const { retrieved, ...retrieval } = scoreRetrieval(sources, item.expected, k);
+    const answer = verification ? scoreAnswer(response, verification, item.expected) : null;
+    const metrics = {
+        ...retrieval,
+        ...(answer ? {
+            leadingCitation: answer.leadingCitation,
+            singleFollowUp: answer.singleFollowUp,
+            citationsSupported: answer.citationsSupported,
+            citedExpected: answer.citedExpected,
+            factRecall: answer.factRecall
+        } : {})
+    };
+
+    return {
+        id: item.id,
+        type: item.type,
+        question: item.question,
+        rewrittenQuery: rewritten.method === 'unchanged' ? null : rewritten.query,
+        rules: rules.matches.map(match => match.rule.id),
+        expected: item.expected.interviews,
+        retrieved,
+        cited: answer ? answer.cited : null,
+        metrics: Object.fromEntries(METRICS
+            .filter(metric => metric in metrics)
+            .map(metric => [metric, typeof metrics[metric] === 'number' ? round(metrics[metric]) : metrics[metric]])),
+        citationWarnings: answer ? answer.citationWarnings : [],
+        validation,
+        answer: response
+    };
+}
+
+// Mean of each metric over the questions that have it; booleans count as 0/1
+function summarize(results) {
+    const summary = { questions: results.length };
+    for (const metric of METRICS) {
+        const values = results
+            .map(result => result.metrics[metric])
+            .filter(value => value !== undefined && value !== null)
+            .map(Number);
+        summary[metric] = values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    }
+    return summary;
+}
+
+function summarizeByType(results) {
+    const byType = {};
+    for (const type of QUESTION_TYPES) {
+        const ofType = results.filter(result => result.type === type);
+        if (ofType.length > 0) byType[type] = summarize(ofType);
+    }
+    byType.all = summarize(results);
+    return byType;
+}
+
+function formatTable(summary, k, baseline) {
+    const columns = ['questions', ...METRICS];
+    const header = ['type', ...columns.map(column => column === 'recallAtK' ? `recall@${k}` : column)];
+    const rows = Object.entries(summary).map(([type, metrics]) => [type, ...columns.map(column => {
+        const value = metrics[column];
+        if (value === null) return '-';
+        const previous = baseline && baseline[type] && baseline[type][column];
+        if (column === 'questions' || previous === null || previous === undefined) return String(value);
+        const delta = round(value - previous);
+        return delta === 0 ? String(value) : `${value} (${delta > 0 ? '+' : ''}${delta})`;
+    })]);
+    const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+    return [header, ...rows]
+        .map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const items = readGoldSet(options.goldPath);
+    const bot = loadBotProfiles(path.join(__dirname, '..', 'bots')).get(options.botId);
+    if (!bot) {
+        throw new Error(`Unknown bot "${options.botId}"`);
+    }
+
+    const llm = createProviderFromEnv();
+    // Always an in-memory index: the evaluation shouldn't need the database
+    const searchEngine = new AISearchEngine(llm, {
+        vectorIndex: process.env.VECTOR_INDEX === 'pgvector' ? 'bruteforce' : process.env.VECTOR_INDEX,
+        topK: parseInt(process.env.RETRIEVAL_TOP_K, 10) || undefined,
+        synthesisTopK: parseInt(process.env.SYNTHESIS_TOP_K, 10) || undefined,
+        maxChunksPerInterview: parseInt(process.env.MAX_CHUNKS_PER_INTERVIEW, 10) || undefined,
+        minScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE) || undefined,
+        queryRewrite: process.env.QUERY_REWRITE,
+        rewriteModel: process.env.QUERY_REWRITE_MODEL,
+        reranker: createReranker(process.env.RERANKER, {
+            llm,
+            url: process.env.RERANKER_URL,
+            model: process.env.RERANKER_MODEL
+        })
+    });
+    await searchEngine.initialize();
+    const ruleEngine = new RuleEngine(bot.rules, (text, usage) => searchEngine.getEmbedding(text, usage));
+
+    const results = [];
+    for (const item of items) {
+        console.error(`Evaluating ${item.id}`);
+        results.push(await evaluateQuestion(item, {
+            searchEngine,
+            llm,
+            bot,
+            ruleEngine,
+            k: options.k,
+            retrievalOnly: options.retrievalOnly
+        }));
+    }
+    results.sort((a, b) => a.id.localeCompare(b.id));
+
+    const report = {
+        gold: path.basename(options.goldPath),
+        bot: { id: bot.id, version: bot.version },
+        provider: { name: llm.name, embeddingModel: llm.embeddingModel, chatModel: llm.chatModel || bot.completion.model },
+        k: options.k,
+        retrievalOnly: options.retrievalOnly,
+        summary: summarizeByType(results),
+        questions: results
+    };
+
+    const baseline = options.baselinePath ? JSON.parse(fs.readFileSync(options.baselinePath, 'utf8')).summary : null;
+    console.log(formatTable(report.summary, options.k, baseline));
+
+    if (options.outputPath) {
+        fs.writeFileSync(options.outputPath, JSON.stringify(report, null, 2) + '\n');
+        console.error(`Wrote report to ${options.outputPath}`);
+    }
+}
+
+main().catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+});
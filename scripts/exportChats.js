@@ -0,0 +1,115 @@
+// scripts/exportChats.js
+//
+// Usage: node scripts/exportChats.js [--format csv|jsonl] [--unit message|turn]
+//                                    [--bot <id>[,<id>]] [--from <date>] [--to <date>]
+//                                    [--participants <id,id | file>] [--pseudonymize]
+//                                    [--output <file>]
+//
+// Exports chat_messages from DATABASE_URL for analysis, the same way as
+// GET /api/export. --pseudonymize replaces qualtrics and session ids with a
+// salted hash (salt from EXPORT_PSEUDONYM_SALT). --participants takes a
+// comma-separated list or a file with one id per line. Without --output the
+// export is written to stdout.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+const { ExportOptionsError, normalizeExportOptions, exportChats, formatExport } = require('../lib/chatExport');
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/exportChats.js [--format csv|jsonl] [--unit message|turn] [--bot <id>[,<id>]] ' +
+    '[--from <date>] [--to <date>] [--participants <id,id | file>] [--pseudonymize] [--output <file>]';
+
+// A path to an existing file is read as one id per line
+function readParticipants(value) {
+    if (!value || !fs.existsSync(value)) {
+        return value;
+    }
+    return fs.readFileSync(value, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+function parseCommandLine(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            format: { type: 'string' },
+            unit: { type: 'string' },
+            bot: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            participants: { type: 'string' },
+            pseudonymize: { type: 'boolean', default: false },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    return {
+        help: false,
+        outputPath: values.output && path.resolve(values.output),
+        exportOptions: normalizeExportOptions({
+            format: values.format,
+            unit: values.unit,
+            chatbotIds: values.bot,
+            from: values.from,
+            to: values.to,
+            participants: readParticipants(values.participants),
+            pseudonymize: values.pseudonymize,
+            salt: process.env.EXPORT_PSEUDONYM_SALT
+        })
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        if (error instanceof ExportOptionsError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+            console.error(error.message);
+            console.error(USAGE);
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+
+    try {
+        const result = await exportChats(pool, options.exportOptions);
+        const output = formatExport(result, options.exportOptions.format);
+        if (options.outputPath) {
+            fs.writeFileSync(options.outputPath, output);
+            console.error(`Wrote ${result.records.length} ${options.exportOptions.unit}s to ${options.outputPath}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error('Export failed:', error.message);
+    process.exitCode = 1;
+});
@@ -1,123 +1,301 @@
 // scripts/generateEmbeddings.js
+//
+// Usage: node scripts/generateEmbeddings.js [--source <pdf dir>] [--output <embeddings.json>]
+//                                           [--max-tokens <n>] [--overlap-tokens <n>] [--model <embedding model>]
+//                                           [--metadata <metadata.csv>] [--full]
+//
+// Builds are incremental: a manifest next to the output file records each
+// PDF's content hash, and every finished document is checkpointed, so only
+// new or changed PDFs are embedded and an interrupted run picks up where it
+// stopped. --full ignores the manifest and checkpoints.
+//
+// The narrators' names come from metadata.csv (by default the one next to the
+// output file), so the chunker knows whose labels start a turn. A PDF listed
+// there that can't be read, with no earlier version to keep (always the case
+// with --full), fails the run before anything is written.
+//
+// Embeddings come from the provider in LLM_PROVIDER (see lib/llmProviders.js);
+// --model overrides EMBEDDING_MODEL. The server only loads a file built with
+// the model it embeds queries with.
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
-const OpenAI = require('openai');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
 const dotenv = require('dotenv');
+const csv = require('csv-parse/sync');
 const { encode } = require('gpt-3-encoder');
+const { createProviderFromEnv } = require('../lib/llmProviders');
+const { writeEmbeddingsFile, chunkRecord } = require('../lib/embeddingsFile');
+const { readPdfPages } = require('../lib/pdfText');
+const { TranscriptChunker } = require('../lib/transcriptChunker');
+const { LexicalIndex } = require('../lib/lexicalIndex');
 
 // Load environment variables
 dotenv.config();
 
+const DEFAULT_SOURCE_DIR = path.join(__dirname, '..', '..', 'frontend', 'assets', 'pdfs');
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'embeddings.json');
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_OVERLAP_TOKENS = 50;
+const MAX_EMBEDDING_ATTEMPTS = 5;
+
+// Bump when chunking changes in a way that should invalidate checkpoints
+const CHUNKER_VERSION = 3;
+const MANIFEST_VERSION = 1;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJson(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
 class DocumentProcessor {
-    constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+    constructor(options = {}) {
+        this.sourceDir = options.sourceDir || DEFAULT_SOURCE_DIR;
+        this.outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+        this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        this.overlapTokens = options.overlapTokens !== undefined ? options.overlapTokens : DEFAULT_OVERLAP_TOKENS;
+        this.full = Boolean(options.full);
+        this.metadataPath = options.metadataPath || path.join(path.dirname(this.outputPath), 'metadata.csv');
+
+        this.manifestPath = this.outputPath.replace(/\.json$/, '') + '.manifest.json';
+        this.lexicalIndexPath = this.outputPath.replace(/\.json$/, '') + '.lexical.json';
+        this.checkpointDir = path.join(path.dirname(this.outputPath), '.embeddings-cache');
+
+        this.llm = createProviderFromEnv(process.env, options.model ? { embeddingModel: options.model } : {});
+        this.model = this.llm.embeddingModel;
+    }
+
+    // Everything that changes the chunks or vectors of an unchanged PDF
+    get params() {
+        return {
+            maxTokens: this.maxTokens,
+            overlapTokens: this.overlapTokens,
+            model: this.model,
+            chunker: CHUNKER_VERSION
+        };
     }
 
     async processDocuments() {
         try {
-            // 1. Read documents from the frontend PDF directory
-            const docs = await this.readDocuments();
-            console.log(`Found ${docs.length} documents`);
-            
-            // 2. Split documents into chunks
-            const chunks = await this.splitIntoChunks(docs);
-            console.log(`Created ${chunks.length} chunks`);
+            fs.mkdirSync(this.checkpointDir, { recursive: true });
 
-            // 3. Generate embeddings for each chunk
-            const embeddings = await this.generateEmbeddings(chunks);
-            
-            // 4. Save embeddings and chunks
-            await this.saveEmbeddings(embeddings, chunks);
+            // 1. Hash the PDFs in the source directory
+            const files = this.listDocuments();
+            console.log(`Found ${files.length} documents in ${this.sourceDir}`);
+
+            this.narrators = this.loadNarrators();
+            const manifest = this.loadManifest();
+            const records = [];
+            const lost = [];
+            let reused = 0;
+
+            // 2. Prune documents that are no longer in the source directory
+            const present = new Set(files.map(file => file.name));
+            for (const name of Object.keys(manifest.documents)) {
+                if (!present.has(name)) {
+                    console.log(`Removing ${name} (no longer in source directory)`);
+                    this.removeCheckpoint(manifest.documents[name].checkpoint);
+                    delete manifest.documents[name];
+                    this.saveManifest(manifest);
+                }
+            }
+
+            // 3. Reuse checkpoints for unchanged documents, embed the rest
+            for (const file of files) {
+                const checkpoint = this.checkpointName(file);
+                const previous = manifest.documents[file.name];
+                const cached = this.full ? null : this.loadCheckpoint(checkpoint);
+
+                let documentRecords;
+                if (cached) {
+                    documentRecords = cached.chunks;
+                    reused++;
+                } else {
+                    const result = await this.processDocument(file);
+                    if (!result) {
+                        // An unreadable new version keeps the interview in the archive as it was
+                        const kept = previous && this.loadCheckpoint(previous.checkpoint);
+                        if (kept) {
+                            console.warn(`Keeping the previous version of ${file.name} (${kept.chunks.length} chunks)`);
+                            records.push(...kept.chunks);
+                        } else if (this.isListed(file.name)) {
+                            lost.push(file.name);
+                        }
+                        continue;
+                    }
+
+                    documentRecords = result.records;
+                    if (!result.complete) {
+                        // Leave it un-checkpointed so the next run retries it
+                        records.push(...documentRecords);
+                        continue;
+                    }
+                    writeJson(path.join(this.checkpointDir, checkpoint), {
+                        source: file.name,
+                        hash: file.hash,
+                        params: this.params,
+                        chunks: documentRecords
+                    });
+                }
+                records.push(...documentRecords);
+
+                if (previous && previous.checkpoint !== checkpoint) {
+                    this.removeCheckpoint(previous.checkpoint);
+                }
+                manifest.documents[file.name] = {
+                    hash: file.hash,
+                    checkpoint,
+                    chunks: documentRecords.length
+                };
+                this.saveManifest(manifest);
+            }
+            console.log(`Reused ${reused} unchanged document(s), embedded ${files.length - reused}`);
+
+            // An interview in metadata.csv without chunks would silently drop out of the archive
+            if (lost.length > 0) {
+                throw new Error(`Not writing ${this.outputPath}: ${lost.join(', ')} could not be read and ` +
+                    'no earlier version was available (fix or remove the PDF and run again)');
+            }
+
+            // 4. Save embeddings together with their chunks
+            await this.saveEmbeddings(records);
             
             console.log('Embedding generation complete!');
         } catch (error) {
             console.error('Error processing documents:', error);
+            process.exitCode = 1;
         }
     }
 
-    async readDocuments() {
-        // Adjust path to point to frontend PDF directory
-        const pdfPath = path.join(__dirname, '..', '..', 'frontend', 'assets', 'pdfs');
-        let files = fs.readdirSync(pdfPath);
-        
-        // Sort files numerically
-        files.sort((a, b) => {
-            const numA = parseInt(a.match(/\d+/)[0]);
-            const numB = parseInt(b.match(/\d+/)[0]);
-            return numA - numB;
-        });
+    listDocuments() {
+        const files = fs.readdirSync(this.sourceDir)
+            .filter(file => file.endsWith('.pdf'))
+            // Sort files numerically (document2.pdf before document10.pdf)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
 
-        const documents = [];
+        return files.map(name => ({
+            name,
+            path: path.join(this.sourceDir, name),
+            hash: sha256(fs.readFileSync(path.join(this.sourceDir, name)))
+        }));
+    }
 
-        for (const file of files) {
-            if (file.endsWith('.pdf')) {
-                const filePath = path.join(pdfPath, file);
-                console.log(`Processing ${file}...`);
-                
-                try {
-                    const dataBuffer = fs.readFileSync(filePath);
-                    const pdfData = await pdf(dataBuffer);
-                    documents.push({
-                        text: pdfData.text,
-                        title: file,
-                        pages: pdfData.numpages
-                    });
-                    console.log(`Successfully processed ${file} (${pdfData.numpages} pages)`);
-                } catch (error) {
-                    console.error(`Error processing ${file}:`, error);
-                }
-            }
-        }
+    async processDocument(file) {
+        console.log(`Processing ${file.name}...`);
+        const doc = await this.readDocument(file);
+        if (!doc) return null;
+
+        const chunks = await this.splitIntoChunks([doc]);
+        console.log(`Created ${chunks.length} chunks for ${file.name}`);
+
+        const records = await this.generateEmbeddings(chunks);
+        return { records, complete: records.length === chunks.length };
+    }
 
-        return documents;
+    async readDocument(file) {
+        try {
+            const { pages, numPages } = await readPdfPages(fs.readFileSync(file.path));
+            console.log(`Successfully processed ${file.name} (${numPages} pages)`);
+            const narrator = this.narrators.get(file.name);
+            return { pages, title: file.name, numPages, speakers: narrator ? [narrator] : [] };
+        } catch (error) {
+            console.error(`Error processing ${file.name}:`, error);
+            process.exitCode = 1;
+            return null;
+        }
     }
 
-    async splitIntoChunks(documents, maxTokens = 500) {
-        const chunks = [];
+    // Narrator names by PDF name; without metadata.csv the chunker works
+    // them out from the transcripts' labels
+    loadNarrators() {
+        if (!fs.existsSync(this.metadataPath)) {
+            console.warn(`No ${this.metadataPath}; speaker labels are not checked against the narrators' names`);
+            return new Map();
+        }
+        const rows = csv.parse(fs.readFileSync(this.metadataPath, 'utf8'), { columns: true, skip_empty_lines: true });
+        return new Map(rows.map(row => [row.pdf_name, row.name]));
+    }
 
-        for (const doc of documents) {
-            let currentChunk = '';
-            const paragraphs = doc.text.split(/\n\s*\n/); // Split by double newline
+    // Whether the archive cites this PDF; without metadata.csv every PDF counts
+    isListed(name) {
+        return !fs.existsSync(this.metadataPath) || this.narrators.has(name);
+    }
 
-            for (const paragraph of paragraphs) {
-                const trimmedParagraph = paragraph.trim();
-                if (!trimmedParagraph) continue;
+    // Per file name as well as content, so identical PDFs keep their own
+    // source and removing one doesn't remove the other's checkpoint
+    checkpointName(file) {
+        const key = sha256(file.name + file.hash + JSON.stringify(this.params)).slice(0, 16);
+        return `${key}.json`;
+    }
 
-                // Check if adding this paragraph would exceed maxTokens
-                const potentialChunk = currentChunk + '\n' + trimmedParagraph;
-                const tokenCount = encode(potentialChunk).length;
+    loadCheckpoint(name) {
+        try {
+            return readJson(path.join(this.checkpointDir, name), null);
+        } catch (error) {
+            console.warn(`Ignoring unreadable checkpoint ${name}: ${error.message}`);
+            return null;
+        }
+    }
 
-                if (tokenCount > maxTokens && currentChunk) {
-                    // Store current chunk and start a new one
-                    chunks.push({
-                        text: currentChunk.trim(),
-                        source: doc.title,
-                        tokens: encode(currentChunk).length
-                    });
-                    currentChunk = trimmedParagraph;
-                } else {
-                    currentChunk = potentialChunk;
-                }
-            }
+    removeCheckpoint(name) {
+        if (name) {
+            fs.rmSync(path.join(this.checkpointDir, name), { force: true });
+        }
+    }
 
-            // Add the last chunk if it's not empty
-            if (currentChunk.trim()) {
-                chunks.push({
-                    text: currentChunk.trim(),
-                    source: doc.title,
-                    tokens: encode(currentChunk).length
-                });
-            }
+    // A manifest built with different chunking parameters or model describes
+    // vectors we can't mix with new ones, so it's discarded.
+    loadManifest() {
+        const empty = { version: MANIFEST_VERSION, params: this.params, documents: {} };
+        if (this.full) {
+            return empty;
         }
+        const manifest = readJson(this.manifestPath, null);
+        if (!manifest || manifest.version !== MANIFEST_VERSION) {
+            return empty;
+        }
+        if (JSON.stringify(manifest.params) !== JSON.stringify(this.params)) {
+            console.log('Chunking parameters or model changed; re-embedding all documents');
+            Object.values(manifest.documents).forEach(entry => this.removeCheckpoint(entry.checkpoint));
+            return empty;
+        }
+        return manifest;
+    }
 
-        return chunks;
+    saveManifest(manifest) {
+        writeJson(this.manifestPath, manifest);
+    }
+
+    async splitIntoChunks(documents) {
+        const chunker = new TranscriptChunker({
+            maxTokens: this.maxTokens,
+            overlapTokens: this.overlapTokens
+        });
+        return documents.flatMap(doc => chunker.chunkDocument(doc));
     }
 
+    // Returns one { text, embedding, metadata } record per chunk that could be
+    // embedded. A chunk that still fails after all retries is left out as a
+    // whole, so vectors and texts stay aligned.
     async generateEmbeddings(chunks) {
-        const embeddings = [];
+        const records = [];
+        const failed = [];
         const batchSize = 20; // Process in batches to avoid rate limits
         
         for (let i = 0; i < chunks.length; i += batchSize) {
@@ -126,49 +304,118 @@ class DocumentProcessor {
             
             const batchPromises = batch.map(async chunk => {
                 try {
-                    const response = await this.openai.embeddings.create({
-                        model: "text-embedding-3-small",
-                        input: chunk.text,
-                    });
-                    return response.data[0].embedding;
+                    return await this.embedWithRetry(chunk.text);
                 } catch (error) {
-                    console.error(`Error generating embedding for chunk: ${error.message}`);
+                    console.error(`Giving up on chunk from ${chunk.source} (pages ${chunk.pageStart}-${chunk.pageEnd}): ${error.message}`);
                     return null;
                 }
             });
 
             const batchEmbeddings = await Promise.all(batchPromises);
-            embeddings.push(...batchEmbeddings.filter(emb => emb !== null));
+            batchEmbeddings.forEach((embedding, j) => {
+                const chunk = batch[j];
+                if (embedding === null) {
+                    failed.push(chunk);
+                    return;
+                }
+                records.push(chunkRecord(chunk, embedding));
+            });
             
             // Add a small delay between batches to avoid rate limits
             if (i + batchSize < chunks.length) {
-                await new Promise(resolve => setTimeout(resolve, 1000));
+                await sleep(1000);
             }
         }
 
-        return embeddings;
+        if (failed.length > 0) {
+            console.error(`${failed.length} chunk(s) could not be embedded and were left out:`);
+            failed.forEach(chunk => console.error(`  ${chunk.source} pages ${chunk.pageStart}-${chunk.pageEnd}`));
+            process.exitCode = 1;
+        }
+
+        return records;
     }
 
-    async saveEmbeddings(embeddings, chunks) {
-        // Save in backend directory
-        const outputPath = path.join(__dirname, '..', 'embeddings.json');
-        
-        // Prepare the data structure
-        const data = {
-            embeddings: embeddings,
-            texts: chunks.map(chunk => chunk.text),
-            metadata: chunks.map(chunk => ({
-                source: chunk.source,
-                tokens: chunk.tokens
-            }))
-        };
+    async embedWithRetry(text) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const [embedding] = await this.llm.embed([text]);
+                return embedding;
+            } catch (error) {
+                if (attempt >= MAX_EMBEDDING_ATTEMPTS) {
+                    throw error;
+                }
+                // Exponential backoff with jitter: ~1s, 2s, 4s, 8s
+                const delay = 1000 * 2 ** (attempt - 1) + Math.random() * 250;
+                console.warn(`Embedding attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async saveEmbeddings(records) {
+        writeEmbeddingsFile(this.outputPath, { model: this.model, chunks: records });
+        console.log(`Saved ${records.length} embeddings to ${this.outputPath}`);
 
-        // Save the embeddings
-        fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
-        console.log(`Saved embeddings to ${outputPath}`);
+        // BM25 index over the same chunks, loaded by the server for hybrid search
+        const lexicalIndex = LexicalIndex.build(
+            records.map(record => record.text),
+            records.map(record => record.metadata.source)
+        );
+        writeJson(this.lexicalIndexPath, lexicalIndex.toJSON());
+        console.log(`Saved lexical index to ${this.lexicalIndexPath}`);
     }
 }
 
+function parseCommandLine(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            source: { type: 'string' },
+            output: { type: 'string' },
+            'max-tokens': { type: 'string' },
+            'overlap-tokens': { type: 'string' },
+            model: { type: 'string' },
+            metadata: { type: 'string' },
+            full: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const maxTokens = values['max-tokens'] ? parseInt(values['max-tokens'], 10) : undefined;
+    if (maxTokens !== undefined && !(maxTokens > 0)) {
+        throw new Error(`--max-tokens must be a positive integer, got "${values['max-tokens']}"`);
+    }
+
+    const overlapTokens = values['overlap-tokens'] ? parseInt(values['overlap-tokens'], 10) : undefined;
+    if (overlapTokens !== undefined && !(overlapTokens >= 0 && overlapTokens < (maxTokens || DEFAULT_MAX_TOKENS))) {
+        throw new Error(`--overlap-tokens must be between 0 and the max tokens, got "${values['overlap-tokens']}"`);
+    }
+
+    return {
+        help: values.help,
+        sourceDir: values.source && path.resolve(values.source),
+        outputPath: values.output && path.resolve(values.output),
+        maxTokens,
+        overlapTokens,
+        model: values.model,
+        metadataPath: values.metadata && path.resolve(values.metadata),
+        full: values.full
+    };
+}
+
 // Run the embedding generation
-const processor = new DocumentProcessor();
-processor.processDocuments();
\ No newline at end of file
+let options;
+try {
+    options = parseCommandLine(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log('Usage: node scripts/generateEmbeddings.js [--source <pdf dir>] [--output <embeddings.json>] [--max-tokens <n>] [--overlap-tokens <n>] [--model <embedding model>] [--metadata <metadata.csv>] [--full]');
+} else {
+    const processor = new DocumentProcessor(options);
+    processor.processDocuments();
+}
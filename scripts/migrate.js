@@ -0,0 +1,92 @@
+// scripts/migrate.js
+//
+// Usage: node scripts/migrate.js up [--to <version>]
+//        node scripts/migrate.js down [--steps <n>]
+//        node scripts/migrate.js status
+//
+// Runs the schema migrations in migrations/ against DATABASE_URL. The server
+// applies pending migrations itself on startup; this is for reverting them
+// and for checking where a database stands.
+const path = require('path');
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const dotenv = require('dotenv');
+const { Migrator } = require('../lib/migrator');
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = 'Usage: node scripts/migrate.js up [--to <version>] | down [--steps <n>] | status';
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            to: { type: 'string' },
+            steps: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const command = positionals[0] || 'status';
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}"`);
+    }
+
+    const to = values.to !== undefined ? parseInt(values.to, 10) : undefined;
+    if (to !== undefined && !(to > 0)) {
+        throw new Error(`--to must be a migration version, got "${values.to}"`);
+    }
+    const steps = values.steps !== undefined ? parseInt(values.steps, 10) : 1;
+    if (!(steps > 0)) {
+        throw new Error(`--steps must be a positive integer, got "${values.steps}"`);
+    }
+
+    return { help: values.help, command, to, steps };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+    const migrator = new Migrator({ pool, directory: path.join(__dirname, '..', 'migrations') });
+
+    try {
+        if (options.command === 'up') {
+            const applied = await migrator.up({ to: options.to });
+            console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        } else if (options.command === 'down') {
+            const reverted = await migrator.down({ steps: options.steps });
+            console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        } else {
+            for (const migration of await migrator.status()) {
+                console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version} ${migration.name}`);
+            }
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
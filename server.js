@@ -2,18 +2,41 @@ const express = require('express');
 const cors = require('cors');
 const corsOptions = {
     origin: 'https://chatbot11directanswers.netlify.app',
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
     credentials: true,
     allowedHeaders: ['Content-Type', 'Authorization'],
     preflightContinue: false,
     optionsSuccessStatus: 204
 };
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
 const path = require('path');
-const fs = require('fs');
-const csv = require('csv-parse/sync');
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const { createProviderFromEnv } = require('./lib/llmProviders');
+const { AISearchEngine } = require('./lib/searchEngine');
+const { createReranker } = require('./lib/reranker');
+const { SessionStore } = require('./lib/sessionStore');
+const { loadBotProfiles } = require('./lib/botProfiles');
+const { RuleEngine } = require('./lib/ruleEngine');
+const { matchRules, buildCompletion, validateCompletion, finishAnswer } = require('./lib/chatPipeline');
+const { ExportOptionsError, normalizeExportOptions, exportChats, formatExport } = require('./lib/chatExport');
+const { requireApiKey } = require('./lib/apiKeyAuth');
+const { Migrator } = require('./lib/migrator');
+const { WriteQueue } = require('./lib/writeQueue');
+const {
+    ServiceUnavailableError,
+    LimitExceededError,
+    isConnectionError,
+    describeError,
+    isUpstreamError
+} = require('./lib/serviceErrors');
+const { FilterValidationError, normalizeFilters } = require('./lib/metadataFilters');
+const { ArchiveQueryError, listInterviews, describeInterview, searchPassages } = require('./lib/archive');
+const { IngestionRequestError, IngestionService } = require('./lib/ingestion');
+const { MultipartError, parseMultipartForm } = require('./lib/multipartForm');
+const { parseRateLimit, RateLimiter } = require('./lib/rateLimiter');
+const { loadPrices, TurnUsage, UsageBudget } = require('./lib/usageBudget');
+const { questionLanguage } = require('./lib/language');
 
 // Load environment variables
 dotenv.config();
@@ -23,398 +46,811 @@ const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: {
         rejectUnauthorized: false
-    }
+    },
+    // Fail fast when the database is down instead of waiting on a connection
+    connectionTimeoutMillis: parseInt(process.env.DATABASE_CONNECT_TIMEOUT_MS, 10) || 5000
+});
+// An idle client losing its connection must not take the server down
+pool.on('error', error => {
+    console.error('Idle database client error:', error.message);
 });
 
-// Create database table
-pool.query(`
-    CREATE TABLE IF NOT EXISTS chat_messages (
-        id SERIAL PRIMARY KEY,
-        qualtrics_id VARCHAR(255),
-        session_id VARCHAR(255),
-        role VARCHAR(10),
-        content TEXT,
-        chatbot_id VARCHAR(50),
-        timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
-    );
-`).catch(console.error);
+// Schema changes live in migrations/; chat is only served once they are applied
+const migrator = new Migrator({ pool, directory: path.join(__dirname, 'migrations') });
 
-// Define chatbot ID
-const CHATBOT_ID = 'direct-answers-bot';
+// Chat logs go through this so a database outage doesn't fail chats; writes
+// are spooled to disk and replayed when Postgres is back
+const writeQueue = new WriteQueue({
+    pool,
+    file: process.env.CHAT_LOG_SPOOL || path.join(__dirname, '.chat-log-spool', 'writes.jsonl'),
+    retryMs: (parseFloat(process.env.CHAT_LOG_RETRY_SECONDS) || 15) * 1000
+});
 
-class AISearchEngine {
-    constructor(openai) {
-        this.openai = openai;
-        this.embeddings = [];
-        this.texts = [];
-        this.metadata = new Map();
-        this.chunkMetadata = [];
-    }
+// What the server is still waiting for before it can answer chats. States
+// are 'pending', 'ready' or 'failed'.
+const readiness = {
+    migrations: { state: 'pending', error: null },
+    searchIndex: { state: 'pending', error: null }
+};
 
-    async initialize() {
-        try {
-            const data = JSON.parse(fs.readFileSync(path.join(__dirname, 'embeddings.json'), 'utf8'));
-            this.embeddings = data.embeddings;
-            this.texts = data.texts;
-            this.chunkMetadata = data.metadata;
-
-            console.log("First few texts entries:");
-            this.texts.slice(0, 3).forEach((text, i) => {
-                console.log(`Text ${i + 1} starts with: ${text.substring(0, 100)}...`);
-            });
+// Chatbot conditions, one profile per bots/<id>.json
+const botProfiles = loadBotProfiles(path.join(__dirname, 'bots'));
+const DEFAULT_BOT_ID = process.env.DEFAULT_BOT_ID || 'direct-answers-bot';
+if (!botProfiles.has(DEFAULT_BOT_ID)) {
+    throw new Error(`Default bot "${DEFAULT_BOT_ID}" has no profile in bots/`);
+}
 
-            const metadataFile = fs.readFileSync(path.join(__dirname, 'metadata.csv'), 'utf8');
-            const records = csv.parse(metadataFile, {
-                columns: true,
-                skip_empty_lines: true
-            });
-            
-            console.log("\nFirst few metadata records:");
-            records.slice(0, 3).forEach((record, i) => {
-                console.log(`Record ${i + 1}: ${record.name}`);
-            });
+const app = express();
+// Behind a proxy req.ip is only the client's address when the proxy is
+// trusted, e.g. TRUST_PROXY=1 for one hop
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+app.use(cors(corsOptions));
+app.use(express.json());
 
-            records.forEach((record, index) => {
-                const documentId = (index + 1).toString();
-                this.metadata.set(documentId, record);
-            });
-            
-            console.log(`Loaded ${this.embeddings.length} embeddings and ${this.metadata.size} metadata records`);
+// OpenAI, an OpenAI-compatible local server or the offline fake, per LLM_PROVIDER
+const llm = createProviderFromEnv();
+console.log(`LLM provider: ${llm.name}, embeddings from ${llm.embeddingModel}`);
+// Outcome of the latest chat calls, for /health
+const llmStatus = { lastSuccessAt: null, lastError: null };
+
+const searchEngine = new AISearchEngine(llm, {
+    vectorIndex: process.env.VECTOR_INDEX,
+    pool,
+    topK: parseInt(process.env.RETRIEVAL_TOP_K, 10) || undefined,
+    synthesisTopK: parseInt(process.env.SYNTHESIS_TOP_K, 10) || undefined,
+    maxChunksPerInterview: parseInt(process.env.MAX_CHUNKS_PER_INTERVIEW, 10) || undefined,
+    minScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE) || undefined,
+    queryRewrite: process.env.QUERY_REWRITE,
+    rewriteModel: process.env.QUERY_REWRITE_MODEL,
+    reranker: createReranker(process.env.RERANKER, {
+        llm,
+        url: process.env.RERANKER_URL,
+        model: process.env.RERANKER_MODEL
+    })
+});
+// Background jobs behind the admin endpoints. PDF_DIR is where
+// scripts/generateEmbeddings.js reads the transcripts from.
+const ingestion = new IngestionService({
+    searchEngine,
+    llm,
+    pdfDir: process.env.PDF_DIR || path.join(__dirname, '..', 'frontend', 'assets', 'pdfs')
+});
+
+// Retries a startup step for as long as the database can't be reached
+async function untilDatabaseReachable(label, step) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await step();
         } catch (error) {
-            console.error('Failed to load data:', error);
-            throw error;
+            if (!isConnectionError(error)) {
+                throw error;
+            }
+            const delay = Math.min(30000, 1000 * 2 ** attempt);
+            console.warn(`${label}: database unreachable (${error.message}), retrying in ${delay / 1000}s`);
+            await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
+}
 
-    findAllNamesInQuestion(question) {
-        const normalizedQuestion = question.toLowerCase();
-        const matches = [];
-        
-        for (const [id, record] of this.metadata.entries()) {
-            const normalizedName = record.name.toLowerCase();
-            
-            if (normalizedQuestion.includes(normalizedName)) {
-                matches.push({ id, record });
-                continue;
-            }
-            
-            const nameParts = normalizedName.split(' ');
-            for (const part of nameParts) {
-                if (part.length > 2 && normalizedQuestion.includes(part.toLowerCase())) {
-                    matches.push({ id, record });
-                    break;
-                }
-            }
-        }
-        return matches;
+// Chats get a 503 until this finishes; the pgvector index needs the database
+untilDatabaseReachable('Search index', () => searchEngine.initialize())
+    .then(() => {
+        readiness.searchIndex = { state: 'ready', error: null };
+    })
+    .catch(error => {
+        readiness.searchIndex = { state: 'failed', error: error.message };
+    });
+
+const ruleEngines = new Map([...botProfiles.values()].map(bot => [
+    bot.id,
+    new RuleEngine(bot.rules, (text, usage) => searchEngine.getEmbedding(text, usage))
+]));
+
+const sessionStore = new SessionStore({
+    pool,
+    writer: writeQueue,
+    llm,
+    ttlMs: (parseFloat(process.env.SESSION_TTL_MINUTES) || 120) * 60 * 1000,
+    maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || undefined,
+    historyTokens: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || undefined
+});
+
+// Chat rate limits, "<requests>/<window>" such as "30/10m" or "off". A lab
+// full of participants can share one IP, so its default is generous.
+const rateLimiters = [
+    ['participant', process.env.RATE_LIMIT_PARTICIPANT, '30/10m',
+        req => (req.body.qualtricsId && req.body.qualtricsId !== 'unknown' ? req.body.qualtricsId : null)],
+    ['session', process.env.RATE_LIMIT_SESSION, '20/10m', req => req.body.sessionId || null],
+    ['ip', process.env.RATE_LIMIT_IP, '300/10m', req => req.ip]
+].map(([name, spec, fallback, keyOf]) => {
+    const limit = parseRateLimit(spec !== undefined ? spec : fallback, `RATE_LIMIT_${name.toUpperCase()}`);
+    return limit && { name, keyOf, limiter: new RateLimiter(limit) };
+}).filter(Boolean);
+const RATE_LIMIT_MESSAGE = process.env.RATE_LIMIT_MESSAGE ||
+    'You are sending questions faster than the chatbot can answer them. Please wait a moment and try again.';
+
+// Turn costs and the study's spend caps in US dollars (unset means no cap)
+const usageBudget = new UsageBudget({
+    pool,
+    prices: loadPrices(process.env.MODEL_PRICES),
+    dailyBudget: parseFloat(process.env.DAILY_BUDGET_USD) || null,
+    participantBudget: parseFloat(process.env.PARTICIPANT_BUDGET_USD) || null,
+    messages: {
+        participant: process.env.PARTICIPANT_BUDGET_MESSAGE,
+        daily: process.env.DAILY_BUDGET_MESSAGE
     }
+});
 
-    async findRelevantContext(question, history = []) {
-        try {
-            const recentHistory = history.slice(-4);
-            let contextualQuery = question;
-
-            if (question.length < 60 || 
-                question.toLowerCase().startsWith('why') || 
-                question.toLowerCase().startsWith('how') || 
-                !question.includes('?')) {
-                
-                const previousExchanges = recentHistory
-                    .map(msg => msg.content)
-                    .join(' ');
-                contextualQuery = `${previousExchanges} ${question}`;
-            }
+// Extra model calls allowed to repair an answer that was cut off or misses
+// parts of the answer format (see lib/answerValidator.js)
+const answerRepairAttempts = process.env.ANSWER_REPAIR_ATTEMPTS !== undefined
+    ? parseInt(process.env.ANSWER_REPAIR_ATTEMPTS, 10) || 0
+    : 2;
 
-            const isComparative = contextualQuery.toLowerCase().includes('between') || 
-                                contextualQuery.toLowerCase().includes('compare');
-            
-            const names = this.findAllNamesInQuestion(contextualQuery);
-            
-            if ((isComparative || names.length > 1) && names.length >= 2) {
-                const contexts = [];
-                for (const match of names) {
-                    const documentName = `document${match.id}.pdf`;
-                    const questionEmbedding = await this.getEmbedding(contextualQuery);
-                    const similarContent = await this.findSimilarContent(questionEmbedding, documentName);
-                    
-                    if (similarContent.length > 0) {
-                        contexts.push({
-                            interviewId: match.id,
-                            interviewee: match.record.name,
-                            date: match.record.date,
-                            content: similarContent.map(item => ({
-                                text: item.text,
-                                page: item.metadata.page,
-                                score: item.score
-                            }))
-                        });
-                    }
-                }
-                
-                return contexts.map(context => 
-                    `Interview ${context.interviewId} with ${context.interviewee} (${context.date}):\n${
-                        context.content.map(c => `[Page ${c.page}] ${c.text}`).join('\n\n')
-                    }`
-                ).join('\n\n---\n\n');
-            }
-            
-            const nameMatch = names[0];
-            if (nameMatch) {
-                const { id, record } = nameMatch;
-                console.log(`Found match for person: ${record.name} (ID: ${id})`);
-                
-                const documentName = `document${id}.pdf`;
-                const questionEmbedding = await this.getEmbedding(contextualQuery);
-                const similarContent = await this.findSimilarContent(questionEmbedding, documentName);
-                
-                if (similarContent.length > 0) {
-                    return similarContent.map(item => 
-                        `Interview ${id} with ${record.name} (${record.date}):\n[Page ${item.metadata.page}] ${item.text}`
-                    ).join('\n\n');
-                }
-            }
+app.get('/', (req, res) => {
+    res.json({ message: 'API is running' });
+});
 
-            const questionEmbedding = await this.getEmbedding(contextualQuery);
-            const similarContent = await this.findSimilarContent(questionEmbedding, null);
-            
-            const groupedResults = {};
-            similarContent.forEach(item => {
-                const source = item.metadata.source;
-                if (!groupedResults[source]) {
-                    groupedResults[source] = [];
-                }
-                groupedResults[source].push(item);
-            });
+app.get('/api/chat', (req, res) => {
+    res.json({ message: 'Please use POST method for chat requests' });
+});
 
-            if (Object.keys(groupedResults).length > 0) {
-                const bestSource = Object.entries(groupedResults)
-                    .sort((a, b) => b[1].length - a[1].length)[0];
-                
-                const documentId = bestSource[0].match(/document(\d+)\.pdf/)[1];
-                const record = this.metadata.get(documentId);
-                
-                const relevantChunks = bestSource[1];
-                return relevantChunks.map(item => 
-                    `Interview ${documentId} with ${record.name} (${record.date}):\n[Page ${item.metadata.page}] ${item.text}`
-                ).join('\n\n');
-            }
+// Pings Postgres, giving up after two seconds so health checks stay quick
+async function checkDatabase() {
+    const startedAt = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            pool.query('SELECT 1'),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('No answer within 2s')), 2000);
+            })
+        ]);
+        return { reachable: true, latencyMs: Date.now() - startedAt, error: null };
+    } catch (error) {
+        return { reachable: false, latencyMs: null, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-            return null;
-        } catch (error) {
-            console.error('Error finding relevant context:', error);
-            throw error;
+async function dependencyReport() {
+    return {
+        database: {
+            ...(await checkDatabase()),
+            migrations: readiness.migrations,
+            ...writeQueue.status()
+        },
+        searchIndex: {
+            ...readiness.searchIndex,
+            chunks: searchEngine.index ? searchEngine.index.size : 0,
+            interviews: searchEngine.metadata.size
+        },
+        llm: {
+            provider: llm.name,
+            embeddingModel: llm.embeddingModel,
+            configured: llm.configured,
+            ...llmStatus
         }
+    };
+}
+
+function isReady() {
+    return Object.values(readiness).every(dependency => dependency.state === 'ready');
+}
+
+/**
+ * Liveness: 200 while the process runs. `status` is 'degraded' when a
+ * dependency is down or still loading, with details per dependency.
+ */
+app.get('/health', async (req, res) => {
+    const dependencies = await dependencyReport();
+    const healthy = isReady() && dependencies.database.reachable && dependencies.database.queuedWrites === 0;
+    res.json({
+        status: healthy ? 'ok' : 'degraded',
+        uptimeSeconds: Math.round(process.uptime()),
+        dependencies
+    });
+});
+
+/**
+ * Readiness: 200 once migrations are applied and the search index is
+ * loaded, 503 before. A database outage afterwards doesn't make the server
+ * unready, since chat logs are spooled until it is back.
+ */
+app.get('/ready', async (req, res) => {
+    const ready = isReady();
+    res.status(ready ? 200 : 503).json({
+        ready,
+        dependencies: await dependencyReport()
+    });
+});
+
+class ChatRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ChatRequestError';
+        this.status = status;
     }
+}
 
-    async findSimilarContent(queryEmbedding, sourceName = null) {
-        const similarities = this.embeddings.map((emb, idx) => ({
-            score: this.cosineSimilarity(queryEmbedding, emb),
-            text: this.texts[idx],
-            metadata: this.chunkMetadata[idx]
-        }));
+// Profile for a route's :botId or the request's botId, else the default bot
+function findBot(botId) {
+    const bot = botProfiles.get(botId || DEFAULT_BOT_ID);
+    if (!bot) {
+        throw new ChatRequestError(`Unknown bot "${botId}"`, 404);
+    }
+    return bot;
+}
+
+// Validates the request, logs the question and retrieves context. Returns
+// everything the completion call and finishChatTurn need.
+async function prepareChatTurn(body, botId = body.botId) {
+    const startedAt = Date.now();
+    const { question, sessionId } = body;
+    const qualtricsId = body.qualtricsId || 'unknown';
+    const bot = findBot(botId);
+
+    if (!question) {
+        throw new ChatRequestError('Question is required');
+    }
+
+    let filters;
+    try {
+        filters = normalizeFilters(body.filters);
+    } catch (error) {
+        if (error instanceof FilterValidationError) {
+            throw new ChatRequestError(error.message);
+        }
+        throw error;
+    }
+
+    // Refused before any model call once the spend caps are reached
+    await usageBudget.check(qualtricsId);
+
+    // Every model and embedding call made for the turn adds to its cost
+    const usage = new TurnUsage();
+
+    // Load history before logging the question, so a rebuild from the
+    // database doesn't pick the question up as part of it
+    const sessionHistory = await sessionStore.getHistory(bot.id, sessionId);
+    const promptHistory = await sessionStore.promptHistory(bot.id, sessionId, usage);
+
+    const rewritten = await searchEngine.rewriteQuestion(question, sessionHistory, usage);
+    // Answers are in the language of the question (or of the session so far)
+    const language = questionLanguage(question, sessionHistory);
+
+    // Store user's question in database, with its rewrite when there is one.
+    // The writes may be replayed later, so rows are linked by the turn key
+    // and carry the time they were made.
+    const turnKey = crypto.randomUUID();
+    await writeQueue.write(
+        `INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id, bot_version, rewritten_query,
+            turn_key, timestamp, language)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [qualtricsId, sessionId, 'user', question, bot.id, bot.version,
+            rewritten.method === 'unchanged' ? null : rewritten.query, turnKey, new Date(startedAt), language]
+    );
+    await writeQueue.write(
+        `INSERT INTO turns (qualtrics_id, session_id, chatbot_id, bot_version, turn_key, created_at,
+            embedding_tokens, cost_usd, user_message_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+            (SELECT id FROM chat_messages WHERE turn_key = $5 AND role = 'user'))`,
+        [qualtricsId, sessionId, bot.id, bot.version, turnKey, new Date(startedAt), usage.embeddingTokens,
+            usageBudget.cost(usage, llm.embeddingModel)]
+    );
+
+    const turn = {
+        key: turnKey,
+        bot,
+        question,
+        sessionId,
+        qualtricsId,
+        sessionHistory,
+        promptHistory,
+        usage,
+        language,
+        startedAt
+    };
+    try {
+        return await retrieveForTurn(turn, rewritten, filters);
+    } catch (error) {
+        await recordTurnFailure(turn, error);
+        throw error;
+    }
+}
+
+// Applies the bot's rules, retrieves context and builds the completion messages
+async function retrieveForTurn(turn, rewritten, filters) {
+    const { bot, question, sessionHistory } = turn;
+
+    // Scripted rules for this question
+    const rules = await matchRules(ruleEngines.get(bot.id), question, rewritten, turn.usage);
+    const { cannedMatch } = rules;
+    turn.ruleMatches = rules.matches;
+    await logRuleFirings(turn, 'before', turn.ruleMatches.flatMap(match => [
+        ...(match === cannedMatch ? [{ match, action: 'answer' }] : []),
+        ...(match.rule.pinInterviews ? [{ match, action: 'pin', detail: match.rule.pinInterviews.join(',') }] : []),
+        ...(match.rule.followUp ? [{ match, action: 'follow_up', detail: 'instructed in prompt' }] : [])
+    ]));
+
+    if (cannedMatch) {
+        // The rule answers for the model: no retrieval, no completion
+        return { ...turn, cannedAnswer: cannedMatch.rule.answer, sources: [], messages: [] };
+    }
+
+    const completion = await buildCompletion({
+        searchEngine,
+        bot,
+        question,
+        history: sessionHistory,
+        promptHistory: turn.promptHistory,
+        rewritten,
+        filters,
+        rules,
+        language: turn.language,
+        usage: turn.usage
+    });
+    return { ...turn, ...completion };
+}
 
-        let results = similarities;
-        if (sourceName) {
-            results = similarities.filter(item => 
-                item.metadata && item.metadata.source === sourceName
+// Records each rule action in rule_firings. Auditing never fails the request.
+async function logRuleFirings(turn, stage, firings) {
+    for (const { match, action, detail = null } of firings) {
+        console.log(`Rule ${match.rule.id} (${match.matchType}, ${match.score.toFixed(3)}) ${stage}: ${action}` +
+            `${detail ? ` - ${detail}` : ''} [${turn.bot.id} v${turn.bot.version}, session ${turn.sessionId}]`);
+        try {
+            await writeQueue.write(
+                `INSERT INTO rule_firings (rule_id, chatbot_id, bot_version, qualtrics_id, session_id, stage, action,
+                    match_type, matched_text, score, question, detail, timestamp)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+                [match.rule.id, turn.bot.id, turn.bot.version, turn.qualtricsId, turn.sessionId, stage, action,
+                    match.matchType, match.matchedText, match.score, turn.question, detail, new Date()]
             );
+        } catch (error) {
+            console.error(`Could not log firing of rule ${match.rule.id}:`, error.message);
         }
+    }
+}
+
+// Checks the model's answer against the answer format, repairing it with
+// further calls when it was cut off or malformed.
+async function validateChatAnswer(turn, completion) {
+    return validateCompletion({
+        llm,
+        request: { ...turn.bot.completion, messages: turn.messages },
+        completion,
+        question: turn.question,
+        ruleMatches: turn.ruleMatches,
+        sources: turn.sources,
+        interviews: searchEngine.metadata,
+        maxAttempts: answerRepairAttempts,
+        language: turn.language,
+        ambiguousNames: turn.ambiguousNames
+    });
+}
 
-        return results
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5);
+// Finishes the answer, stores it and appends the exchange to the session.
+// `completion` carries the model, token usage and format validation when the
+// model answered; the turns row gets the usage of every call of the turn.
+async function finishChatTurn(turn, answer, { model = null, usage = null, validation = null } = {}) {
+    turn.usage.addCompletion({ model, usage });
+    const { response, followUp, verification } = finishAnswer(answer, {
+        ruleMatches: turn.ruleMatches,
+        sources: turn.sources,
+        interviews: searchEngine.metadata
+    });
+    if (followUp) {
+        await logRuleFirings(turn, 'after', [{
+            match: followUp.match,
+            action: 'follow_up',
+            detail: followUp.replaced ? 'replaced model follow-up' : 'model already used it'
+        }]);
     }
 
-    cosineSimilarity(vecA, vecB) {
-        const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
-        const normA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
-        const normB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
-        return dotProduct / (normA * normB);
+    // Every interview the answer cites was checked against the passages it was given
+    if (verification.warnings.length > 0) {
+        console.warn(`Citation check for session ${turn.sessionId}:\n  ${verification.warnings.join('\n  ')}`);
     }
 
-    async getEmbedding(text) {
-        const response = await this.openai.embeddings.create({
-            model: "text-embedding-3-small",
-            input: text,
-        });
-        return response.data[0].embedding;
+    // Store bot's response in database, with what research exports need
+    const storedSources = verification.sources.map(source => ({
+        interviewId: source.interviewId,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd,
+        chunkIndex: source.chunkIndex,
+        language: source.language,
+        similarity: source.similarity,
+        lexicalScore: source.lexicalScore,
+        rerankScore: source.rerankScore,
+        cited: source.cited
+    }));
+    const latencyMs = Date.now() - turn.startedAt;
+    const answeredAt = new Date();
+    await writeQueue.write(
+        `INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id, bot_version,
+            sources, latency_ms, prompt_tokens, completion_tokens, turn_key, timestamp, validation, language)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [turn.qualtricsId, turn.sessionId, 'assistant', response, turn.bot.id, turn.bot.version,
+            JSON.stringify(storedSources), latencyMs,
+            usage ? usage.prompt_tokens : null, usage ? usage.completion_tokens : null, turn.key, answeredAt,
+            validation ? JSON.stringify(validation) : null, turn.language]
+    );
+    await writeQueue.write(
+        `UPDATE turns SET status = 'answered', model = $2,
+            assistant_message_id = (SELECT id FROM chat_messages WHERE turn_key = $1 AND role = 'assistant'),
+            retrieved_chunk_ids = $3, retrieval_scores = $4, latency_ms = $5, completed_at = $6, prompt_tokens = $7,
+            completion_tokens = $8, total_tokens = $9, embedding_tokens = $10, cost_usd = $11
+         WHERE turn_key = $1`,
+        [turn.key, model,
+            turn.sources.map(source => source.chunkIndex), turn.sources.map(source => source.similarity),
+            latencyMs, answeredAt, ...usageValues(turn.usage)]
+    );
+
+    sessionStore.append(turn.bot.id, turn.sessionId, [
+        { role: "user", content: turn.question },
+        { role: "assistant", content: response }
+    ]);
+
+    return {
+        response,
+        sources: verification.sources,
+        citations: verification.citations,
+        citationWarnings: verification.warnings,
+        rules: turn.ruleMatches.map(match => match.rule.id),
+        language: turn.language
+    };
+}
+
+// Prompt, completion, total and embedding tokens and the cost of every
+// call recorded in a TurnUsage, as stored on a turns or searches row
+function usageValues(usage) {
+    const totals = usage.totals;
+    return [
+        totals ? totals.prompt_tokens : null,
+        totals ? totals.completion_tokens : null,
+        totals ? totals.total_tokens : null,
+        usage.embeddingTokens,
+        usageBudget.cost(usage, llm.embeddingModel)
+    ];
+}
+
+// Marks a turn failed with the error, e.g. when retrieval or the completion fails
+async function recordTurnFailure(turn, error) {
+    if (!turn || turn.failed) return;
+    turn.failed = true;
+    try {
+        await writeQueue.write(
+            `UPDATE turns SET status = 'failed', error = $2, latency_ms = $3, completed_at = $4, prompt_tokens = $5,
+                completion_tokens = $6, total_tokens = $7, embedding_tokens = $8, cost_usd = $9
+             WHERE turn_key = $1`,
+            [turn.key, error.message, Date.now() - turn.startedAt, new Date(), ...usageValues(turn.usage)]
+        );
+    } catch (updateError) {
+        console.error(`Could not record failure of turn ${turn.key}:`, updateError.message);
+    }
+}
+
+// Status and body for a failed chat: request errors as they are, everything
+// else by the dependency that failed (see lib/serviceErrors.js)
+function chatErrorResponse(error) {
+    if (error instanceof ChatRequestError) {
+        return { status: error.status, retryAfter: null, body: { error: error.message } };
     }
+    if (isUpstreamError(error)) {
+        llmStatus.lastError = { message: error.message, status: error.status || null, at: new Date().toISOString() };
+    }
+    const { status, code, message, retryAfter } = describeError(error);
+    return { status, retryAfter, body: { error: message, code, status: 'error' } };
 }
 
-function ensureCompleteResponse(text) {
-    text = text.replace(/\.{3,}$/, '');
-    const sentenceEndings = ['.', '!', '?'];
-    
-    if (sentenceEndings.some(ending => text.endsWith(ending))) {
-        return text;
+function sendChatError(res, error) {
+    const { status, retryAfter, body } = chatErrorResponse(error);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
     }
+    res.status(status).json(body);
+}
 
-    let lastCompleteIndex = -1;
-    for (const ending of sentenceEndings) {
-        const index = text.lastIndexOf(ending);
-        if (index > lastCompleteIndex) {
-            lastCompleteIndex = index;
-        }
+// Chats wait for the schema and the search index; until then they get a 503
+function requireReady(req, res, next) {
+    if (isReady()) {
+        return next();
     }
+    const failed = Object.values(readiness).some(dependency => dependency.state === 'failed');
+    sendChatError(res, new ServiceUnavailableError(
+        failed ? 'The chatbot is unavailable' : 'The chatbot is starting up, please try again shortly',
+        { code: 'not_ready', retryAfter: failed ? null : 5 }
+    ));
+}
 
-    if (lastCompleteIndex !== -1) {
-        text = text.substring(0, lastCompleteIndex + 1);
-    } else {
-        if (text.trim().length > 0) {
-            text = text.trim() + '.';
+// Browsing and passage search only need the search index
+function requireSearchIndex(req, res, next) {
+    if (readiness.searchIndex.state === 'ready') {
+        return next();
+    }
+    const failed = readiness.searchIndex.state === 'failed';
+    sendChatError(res, new ServiceUnavailableError(
+        failed ? 'The archive is unavailable' : 'The archive is loading, please try again shortly',
+        { code: 'not_ready', retryAfter: failed ? null : 5 }
+    ));
+}
+
+// Refuses a chat when the participant, session or IP is over its rate limit,
+// and a passage search (no participant or session) when the IP is
+function limitChatRate(req, res, next) {
+    for (const { name, keyOf, limiter } of rateLimiters) {
+        const key = keyOf(req);
+        if (!key) continue;
+        const { allowed, retryAfter } = limiter.hit(key);
+        if (!allowed) {
+            console.warn(`Rate limit per ${name} reached for ${key}`);
+            return sendChatError(res, new LimitExceededError(RATE_LIMIT_MESSAGE, { code: 'rate_limited', retryAfter }));
         }
     }
+    next();
+}
 
-    return text;
+// The bot comes from the route (/api/bots/:botId/chat) or the request body
+function requestedBotId(req) {
+    return req.params.botId || req.body.botId;
 }
 
-const app = express();
-app.use(cors(corsOptions));
-app.use(express.json());
+async function chat(req, res, next) {
+    // Clients that ask for an event stream get the streaming variant
+    if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+        return next();
+    }
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+    let turn;
+    try {
+        turn = await prepareChatTurn(req.body, requestedBotId(req));
+        if (turn.cannedAnswer) {
+            return res.json(await finishChatTurn(turn, turn.cannedAnswer));
+        }
 
-const searchEngine = new AISearchEngine(openai);
-searchEngine.initialize().catch(console.error);
+        const completion = await llm.complete({
+            ...turn.bot.completion,
+            messages: turn.messages
+        });
+        llmStatus.lastSuccessAt = new Date().toISOString();
+        const { text, usage, validation } = await validateChatAnswer(turn, completion);
 
-const sessions = new Map();
+        const result = await finishChatTurn(turn, text, {
+            model: completion.model,
+            usage,
+            validation
+        });
 
-app.get('/', (req, res) => {
-    res.json({ message: 'API is running' });
-});
+        res.json(result);
 
-app.get('/api/chat', (req, res) => {
-    res.json({ message: 'Please use POST method for chat requests' });
-});
+    } catch (error) {
+        console.error('Error in chat endpoint:', error);
+        await recordTurnFailure(turn, error);
+        sendChatError(res, error);
+    }
+}
 
-app.post('/api/chat', async (req, res) => {
+/**
+ * Server-Sent Events variant of /api/chat. Emits `delta` events with text as
+ * it is generated, then one `done` event carrying the same fields as the JSON
+ * reply (response, sources, citations, citationWarnings, rules, language),
+ * or an `error` event. The `done` response is the final text and can differ
+ * from the deltas when the answer was repaired or a rule enforces a
+ * follow-up. If the client goes away the completion still runs to the end so
+ * the answer is logged and kept in the session history.
+ */
+async function streamChat(req, res) {
+    let turn;
     try {
-        const { question, sessionId } = req.body;
-        const qualtricsId = req.body.qualtricsId || 'unknown';
-        
-        if (!question) {
-            return res.status(400).json({ error: 'Question is required' });
+        turn = await prepareChatTurn(req.body, requestedBotId(req));
+    } catch (error) {
+        console.error('Error in chat stream endpoint:', error);
+        return sendChatError(res, error);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let clientConnected = true;
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientConnected = false;
+            console.log(`Client disconnected from stream for session ${turn.sessionId}`);
         }
+    });
 
-        // Store user's question in database
-        await pool.query(
-            'INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id) VALUES ($1, $2, $3, $4, $5)',
-            [qualtricsId, sessionId, 'user', question, CHATBOT_ID]
-        );
+    const send = (event, data) => {
+        if (clientConnected) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        let text = '';
+        let model = null;
+        let usage = null;
+        let validation = null;
+        if (turn.cannedAnswer) {
+            text = turn.cannedAnswer;
+            send('delta', { text });
+        } else {
+            const stream = llm.stream({
+                ...turn.bot.completion,
+                messages: turn.messages
+            });
 
-        let sessionHistory = sessions.get(sessionId) || [];
-        const relevantContext = await searchEngine.findRelevantContext(question, sessionHistory);
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4-turbo-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a helpful assistant analyzing oral history interviews. Respond warmly to greetings or friendly messages (e.g., "hi," "hello," "how are you?"). Follow these rules strictly: 
-
-CRITICAL RULES:
-- ALWAYS start your response by citing the specific interview(s) you're drawing from
-- Give ONE clear, definitive answer in the first sentence
-- Use this format for citations: "From the transcript of Interview #[X] with [Name]:"
-- For multiple sources: "From the transcript of Interview #[X] with [Name], and Interview #[Z] with [Name]:"
-- After the citation, provide your concise answer
-- Never make claims without citing specific interviews 
-- If you can't find relevant information, say "I don't find information about this in the interviews"
-- For comparative questions, cite both interviews before making any comparison
-- If asked 'why', always point back to specific interviews and pages
-
-RESPONSE STRUCTURE:
-1. Start with citation and clear answer
-2. Provide brief supporting evidence if relevant
-3. Add a white space
-4. ALWAYS end with ONE relevant follow-up suggestion based on:
-   - Related topics mentioned in the cited interviews
-   - Connected projects or activities
-   - Key people referenced
-   - Timeline connections
-   - Format suggestion as: "Would you like to know more about [specific related topic/person/project]?"
-
-PREDEFINED TASKS:
-- When asked the following question: "What year did Alexandra Juhasz create her documentary on women and AIDS?" follow all the rules and the response structure, but suggest the following: "Would you like to know more about her documentary such as the title?" 
-- When asked about Karin Timour and Karl Soehnlein and their motivation to stand for people with AIDS ask the following follow-up question: "Would you like to know Karl's motivation to stand for people with AIDS?" 
-
-1. Start with both citations
-2. Give clear comparative answer
-3. Provide evidence for both individuals
-
-
-WHICH/WHO QUESTIONS BETWEEN PEOPLE:
-- ALWAYS choose one person as the primary figure based on:
-   - Frequency of mention in relevant context
-   - Scope and scale of their involvement
-   - Whether it was their main focus vs. one of many activities
-   - Direct vs. indirect involvement
-
-HANDLING FOLLOW-UP QUESTIONS:
-- Review previous exchanges to understand the context
-- For "why" questions, refer back to the specific evidence from previously cited interviews
-- If a follow-up question is unclear, ask for clarification about which aspect they want to know more about
-- Always maintain continuity with previous responses
-- If the follow-up requires new information not covered in previous responses, search for and cite new relevant passages
-
-Example good response:
-"From the transcript of Interview #4 with Jean Carlomusto, page 12: She primarily worked on AIDS education videos at GMHC."
-
-Example bad response:
-"Jean Carlomusto worked on AIDS education videos at GMHC." (missing citation)
-
-Only use information from the provided context. Here is the relevant context:\n\n${relevantContext}`
-                },
-                ...sessionHistory,
-                {
-                    role: "user",
-                    content: question
+            let finishReason = null;
+            for await (const part of stream) {
+                if (part.usage) usage = part.usage;
+                if (part.model) model = part.model;
+                if (part.finishReason) finishReason = part.finishReason;
+                if (part.text) {
+                    text += part.text;
+                    send('delta', { text: part.text });
                 }
-            ],
-            temperature: 0.7,
-            max_tokens: 150,
-            presence_penalty: 1.0,
-            frequency_penalty: 1.0
-        });
+            }
+            llmStatus.lastSuccessAt = new Date().toISOString();
+            ({ text, usage, validation } = await validateChatAnswer(turn, { text, usage, finishReason }));
+        }
+
+        const result = await finishChatTurn(turn, text, { model, usage, validation });
+        send('done', result);
+    } catch (error) {
+        console.error('Error in chat stream endpoint:', error);
+        await recordTurnFailure(turn, error);
+        send('error', chatErrorResponse(error).body);
+    }
+
+    if (clientConnected) {
+        res.end();
+    }
+}
+
+app.post('/api/chat', limitChatRate, requireReady, chat, streamChat);
+app.post('/api/chat/stream', limitChatRate, requireReady, streamChat);
+app.post('/api/bots/:botId/chat', limitChatRate, requireReady, chat, streamChat);
+app.post('/api/bots/:botId/chat/stream', limitChatRate, requireReady, streamChat);
+
+app.get('/api/bots', (req, res) => {
+    res.json([...botProfiles.values()].map(bot => ({
+        id: bot.id,
+        version: bot.version,
+        description: bot.description || null,
+        default: bot.id === DEFAULT_BOT_ID
+    })));
+});
+
+/**
+ * The archive without the chatbot, for "read the source" panels and for
+ * checking answers. GET /api/interviews takes tag=a,b, dateFrom, dateTo,
+ * page and pageSize; GET /api/search takes q, limit, mode=hybrid|keyword and
+ * the same filters plus interview=1,2.
+ */
+app.get('/api/interviews', requireSearchIndex, (req, res) => {
+    try {
+        res.json(listInterviews(searchEngine, req.query));
+    } catch (error) {
+        if (error instanceof ArchiveQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error listing interviews:', error);
+        res.status(500).json({ error: 'Failed to list interviews' });
+    }
+});
 
-        let response = completion.choices[0].message.content;
-        response = ensureCompleteResponse(response);
+app.get('/api/interviews/:id', requireSearchIndex, (req, res) => {
+    const interview = describeInterview(searchEngine, req.params.id);
+    if (!interview) {
+        return res.status(404).json({ error: `Unknown interview "${req.params.id}"` });
+    }
+    res.json(interview);
+});
+
+app.get('/api/search', limitChatRate, requireSearchIndex, async (req, res) => {
+    // Keyword searches call no model, so only hybrid ones are priced and capped
+    const usage = req.query.mode === 'keyword' ? null : new TurnUsage();
+    try {
+        if (usage) {
+            await usageBudget.check(null);
+        }
+        res.json(await searchPassages(searchEngine, req.query, usage));
+    } catch (error) {
+        if (error instanceof ArchiveQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error searching passages:', error);
+        // Hybrid search embeds and translates the query, so the LLM provider can fail it
+        sendChatError(res, error);
+    } finally {
+        if (usage && (usage.totals || usage.embeddingTokens > 0)) {
+            recordSearchCost(req.query.mode || 'hybrid', usage);
+        }
+    }
+});
 
-        // Store bot's response in database
-        await pool.query(
-            'INSERT INTO chat_messages (qualtrics_id, session_id, role, content, chatbot_id) VALUES ($1, $2, $3, $4, $5)',
-            [qualtricsId, sessionId, 'assistant', response, CHATBOT_ID]
+// Spooled like the chat logs; a search that failed after its model calls still costs them
+async function recordSearchCost(mode, usage) {
+    try {
+        await writeQueue.write(
+            `INSERT INTO searches (mode, prompt_tokens, completion_tokens, total_tokens, embedding_tokens, cost_usd, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [mode, ...usageValues(usage), new Date()]
         );
+    } catch (error) {
+        console.error('Could not record the cost of a search:', error.message);
+    }
+}
+
+// Start the conversation over: later questions see no earlier history. The
+// participant whose conversation it is has to send their qualtricsId.
+async function resetSession(req, res) {
+    try {
+        const bot = findBot(req.params.botId || req.query.botId);
+        const { qualtricsId } = req.query;
+        if (!qualtricsId || qualtricsId === 'unknown') {
+            throw new ChatRequestError('qualtricsId is required');
+        }
+        if (!await sessionStore.reset(bot, req.params.id, qualtricsId)) {
+            throw new ChatRequestError('This session belongs to another participant', 403);
+        }
+        res.json({ sessionId: req.params.id, botId: bot.id, reset: true });
+    } catch (error) {
+        console.error('Error resetting session:', error);
+        sendChatError(res, error);
+    }
+}
 
-        sessionHistory = [
-            ...sessionHistory,
-            { role: "user", content: question },
-            { role: "assistant", content: response }
-        ];
-        sessions.set(sessionId, sessionHistory);
+app.delete('/api/chat/session/:id', resetSession);
+app.delete('/api/bots/:botId/chat/session/:id', resetSession);
 
-        res.json({ response });
+// Research endpoints need one of the keys in RESEARCH_API_KEYS
+const requireResearcher = requireApiKey(process.env.RESEARCH_API_KEYS);
 
+/**
+ * Research export of chat_messages. Query parameters:
+ *   format=csv|jsonl, unit=message|turn, chatbotId=a,b, from, to,
+ *   participants=id1,id2, pseudonymize=true (hashes qualtrics and session
+ *   ids with EXPORT_PSEUDONYM_SALT)
+ */
+app.get('/api/export', requireResearcher, async (req, res) => {
+    try {
+        const options = normalizeExportOptions({
+            format: req.query.format,
+            unit: req.query.unit,
+            chatbotIds: req.query.chatbotId,
+            from: req.query.from,
+            to: req.query.to,
+            participants: req.query.participants,
+            pseudonymize: req.query.pseudonymize,
+            salt: process.env.EXPORT_PSEUDONYM_SALT
+        });
+        const result = await exportChats(pool, options);
+        const date = new Date().toISOString().substring(0, 10);
+        res.set({
+            'Content-Type': options.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="chat-export-${options.unit}s-${date}.${options.format}"`
+        });
+        res.send(formatExport(result, options.format));
     } catch (error) {
-        console.error('Error in chat endpoint:', error);
-        if (error.response) {
-            res.status(error.response.status).json({
-                error: error.response.data.error.message,
-                status: 'error'
-            });
-        } else {
-            res.status(500).json({
-                error: 'An error occurred while processing your request',
-                status: 'error'
-            });
+        if (error instanceof ExportOptionsError) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error exporting chat messages:', error);
+        res.status(500).json({ error: 'Failed to export chat messages' });
     }
 });
 
 // Add new endpoint to get chat history
-app.get('/api/chat/history/:qualtricsId', async (req, res) => {
+app.get('/api/chat/history/:qualtricsId', requireResearcher, async (req, res) => {
     try {
         const result = await pool.query(
             'SELECT * FROM chat_messages WHERE qualtrics_id = $1 ORDER BY timestamp',
@@ -428,6 +864,113 @@ app.get('/api/chat/history/:qualtricsId', async (req, res) => {
     }
 });
 
+// Admin endpoints need one of the keys in ADMIN_API_KEYS
+const requireAdmin = requireApiKey(process.env.ADMIN_API_KEYS, 'Admin access');
+const UPLOAD_LIMIT = process.env.ADMIN_UPLOAD_LIMIT || '50mb';
+const uploadBody = express.raw({ type: 'multipart/form-data', limit: UPLOAD_LIMIT });
+
+// Reads a multipart upload into req.form = { fields, files }
+function readUpload(req, res, next) {
+    uploadBody(req, res, error => {
+        if (error) {
+            return res.status(error.status || 400).json({
+                error: error.type === 'entity.too.large' ? `Uploads are limited to ${UPLOAD_LIMIT}` : 'Could not read the upload'
+            });
+        }
+        try {
+            req.form = parseMultipartForm(req.body, req.get('Content-Type'));
+            next();
+        } catch (parseError) {
+            res.status(400).json({ error: parseError.message });
+        }
+    });
+}
+
+// Runs an admin action that queues an ingestion job and answers 202 with it
+function queueIngestion(action) {
+    return (req, res) => {
+        try {
+            const job = action(req);
+            res.status(202).location(`/api/admin/jobs/${job.id}`).json(job);
+        } catch (error) {
+            if (error instanceof IngestionRequestError || error instanceof MultipartError) {
+                return res.status(error.status || 400).json({ error: error.message });
+            }
+            console.error('Error queueing ingestion job:', error);
+            res.status(500).json({ error: 'Failed to queue the job' });
+        }
+    };
+}
+
+/**
+ * Interviews are added (POST, multipart with a `pdf` file and the fields
+ * name, date, excerpt_title, tags, web_url), updated (PUT, any of those),
+ * re-indexed or deleted in background jobs; GET /api/admin/jobs/:id reports
+ * progress. The running search engine picks up each change when its job ends.
+ */
+app.post('/api/admin/interviews', requireAdmin, requireSearchIndex, readUpload, queueIngestion(req => {
+    const { pdf, ...others } = req.form.files;
+    if (Object.keys(others).length > 0) {
+        throw new IngestionRequestError(`Unexpected file field(s): ${Object.keys(others).join(', ')}`);
+    }
+    return ingestion.addInterview(req.form.fields, pdf);
+}));
+
+app.put('/api/admin/interviews/:id', requireAdmin, requireSearchIndex, readUpload, queueIngestion(req =>
+    ingestion.updateInterview(req.params.id, req.form.fields, req.form.files.pdf)
+));
+
+app.post('/api/admin/interviews/:id/reindex', requireAdmin, requireSearchIndex, queueIngestion(req =>
+    ingestion.reindexInterview(req.params.id)
+));
+
+app.delete('/api/admin/interviews/:id', requireAdmin, requireSearchIndex, queueIngestion(req =>
+    ingestion.deleteInterview(req.params.id)
+));
+
+/**
+ * Spend per bot and per UTC day from the turns and searches tables. Query parameters:
+ *   from, to (dates; a date-only `to` includes that day), chatbotId=a,b
+ */
+app.get('/api/admin/spend', requireAdmin, async (req, res) => {
+    const parseDate = (value, field, endOfDay = false) => {
+        if (!value) return null;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new ChatRequestError(`${field} must be a date such as "2024-03-01"`);
+        }
+        if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+        return date;
+    };
+    try {
+        res.json(await usageBudget.report({
+            from: parseDate(req.query.from, 'from'),
+            to: parseDate(req.query.to, 'to', true),
+            chatbotIds: String(req.query.chatbotId || '').split(',').map(id => id.trim()).filter(Boolean)
+        }));
+    } catch (error) {
+        if (error instanceof ChatRequestError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error reporting spend:', error);
+        sendChatError(res, error);
+    }
+});
+
+app.get('/api/admin/jobs', requireAdmin, (req, res) => {
+    res.json(ingestion.listJobs());
+});
+
+app.get('/api/admin/jobs/:id', requireAdmin, (req, res) => {
+    const job = ingestion.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: `Unknown job "${req.params.id}"` });
+    }
+    res.json(job);
+});
+
 app.use((req, res) => {
     res.status(404).json({ error: 'Route not found' });
 });
@@ -441,11 +984,27 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
+
 app.listen(PORT, () => {
     console.log(`Server is running on ${PORT}`);
     console.log('Press Ctrl+C to stop the server');
 });
 
+// Chats are only accepted once the schema is current. An unreachable
+// database is waited for; a migration that fails stops the server.
+untilDatabaseReachable('Migrations', () => migrator.up())
+    .then(applied => {
+        if (applied.length > 0) {
+            console.log(`Applied ${applied.length} database migration(s)`);
+        }
+        readiness.migrations = { state: 'ready', error: null };
+        writeQueue.start();
+    })
+    .catch(error => {
+        console.error('Database migrations failed, not starting:', error);
+        process.exit(1);
+    });
+
 process.on('unhandledRejection', (error) => {
     console.error('Unhandled Promise Rejection:', error);
 });
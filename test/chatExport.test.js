@@ -0,0 +1,83 @@
+// test/chatExport.test.js
+//
+// Turn exports pair questions with their own answers, and pseudonymized
+// exports carry neither Qualtrics ids nor session ids.
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeExportOptions, exportChats, pseudonym } = require('../lib/chatExport');
+
+let nextId = 1;
+function message(role, content, fields = {}) {
+    return {
+        id: nextId++,
+        qualtrics_id: 'R_1',
+        session_id: 's1',
+        chatbot_id: 'aids-activism',
+        bot_version: '1',
+        role,
+        content,
+        turn_key: null,
+        timestamp: new Date(Date.UTC(2024, 2, 1, 12, 0, nextId)),
+        ...fields
+    };
+}
+
+function fakePool(rows) {
+    return {
+        async query() {
+            return { rows };
+        }
+    };
+}
+
+test('answers are paired with their question by turn key, even when they arrive out of order', async () => {
+    const rows = [
+        message('user', 'Who was Jean?', { turn_key: 'k1' }),
+        message('user', 'And Robert?', { turn_key: 'k2' }),
+        message('assistant', 'Jean made videos.', { turn_key: 'k1' }),
+        message('user', 'What about the FDA?', { turn_key: 'k3' }),
+        message('assistant', 'Robert was in Majority Action.', { turn_key: 'k2' })
+    ];
+    const { records } = await exportChats(fakePool(rows), normalizeExportOptions({ unit: 'turn' }));
+
+    assert.deepStrictEqual(records.map(turn => [turn.question, turn.answer]), [
+        ['Who was Jean?', 'Jean made videos.'],
+        ['And Robert?', 'Robert was in Majority Action.'],
+        ['What about the FDA?', null]
+    ]);
+});
+
+test('messages logged before turn keys pair with the next answer in their session', async () => {
+    const rows = [
+        message('user', 'Hello'),
+        message('user', 'Hola', { session_id: 's2' }),
+        message('assistant', 'Hello! Ask me about ACT UP.'),
+        message('user', 'Who was Jean?'),
+        message('reset', ''),
+        message('assistant', 'Late answer'),
+        message('assistant', '¡Hola!', { session_id: 's2' })
+    ];
+    const { records } = await exportChats(fakePool(rows), normalizeExportOptions({ unit: 'turn' }));
+
+    assert.deepStrictEqual(records.map(turn => [turn.session_id, turn.question, turn.answer]), [
+        ['s1', 'Hello', 'Hello! Ask me about ACT UP.'],
+        ['s2', 'Hola', '¡Hola!'],
+        ['s1', 'Who was Jean?', null]
+    ]);
+});
+
+test('pseudonymized exports hash participant and session ids with the salt', async () => {
+    const rows = [
+        message('user', 'Who was Jean?', { turn_key: 'k1' }),
+        message('assistant', 'Jean made videos.', { turn_key: 'k1' })
+    ];
+    const options = normalizeExportOptions({ unit: 'message', pseudonymize: 'true', salt: 'pepper' });
+    const { records } = await exportChats(fakePool(rows), options);
+
+    for (const record of records) {
+        assert.strictEqual(record.participant, pseudonym('R_1', 'pepper'));
+        assert.strictEqual(record.session_id, pseudonym('s1', 'pepper'));
+    }
+    assert.notStrictEqual(pseudonym('s1', 'pepper'), pseudonym('s1', 'salt'));
+    assert.ok(!JSON.stringify(records).includes('"s1"'));
+});
@@ -0,0 +1,72 @@
+// test/chatPipeline.test.js
+//
+// Answer validation in lib/chatPipeline.js: which answers need a citation
+// and a follow-up, and when a repair call is made.
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateCompletion } = require('../lib/chatPipeline');
+
+const sources = [{ interviewId: '1', narrator: 'Robert Vazquez-Pacheco' }];
+const interviews = new Map([['1', { name: 'Robert Vazquez-Pacheco' }]]);
+const repairedAnswer = 'From the transcript of Interview #1 with Robert Vazquez-Pacheco: He joined in 1988.\n\n' +
+    'Would you like to know more about Majority Action?';
+
+// A provider that records the repair calls it gets
+function fakeLlm() {
+    return {
+        calls: [],
+        async complete(request) {
+            this.calls.push(request);
+            return { text: repairedAnswer, usage: null, finishReason: 'stop' };
+        }
+    };
+}
+
+function validate(llm, { question, text, ambiguousNames = [] }) {
+    return validateCompletion({
+        llm,
+        request: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: question }] },
+        completion: { text, usage: null, finishReason: 'stop' },
+        question,
+        ruleMatches: [],
+        sources,
+        interviews,
+        maxAttempts: 2,
+        ambiguousNames
+    });
+}
+
+test('greetings need neither a citation nor a follow-up', async () => {
+    const llm = fakeLlm();
+    const answer = await validate(llm, { question: 'Hello!', text: 'Hello! It is nice to meet you.' });
+
+    assert.strictEqual(answer.text, 'Hello! It is nice to meet you.');
+    assert.deepStrictEqual(answer.validation.problems, []);
+    assert.strictEqual(llm.calls.length, 0);
+});
+
+test('a question about an ambiguous name needs no citation', async () => {
+    const llm = fakeLlm();
+    const clarification = 'Do you mean Interview #1 with Robert Vazquez-Pacheco or Interview #7 with Robert Garcia?';
+    const answer = await validate(llm, {
+        question: 'What did Robert say about the protest?',
+        text: clarification,
+        ambiguousNames: ['Robert']
+    });
+
+    assert.strictEqual(answer.text, clarification);
+    assert.deepStrictEqual(answer.validation.problems, []);
+    assert.strictEqual(llm.calls.length, 0);
+});
+
+test('the same question without ambiguous names is repaired', async () => {
+    const llm = fakeLlm();
+    const answer = await validate(llm, {
+        question: 'What did Robert say about the protest?',
+        text: 'Do you mean Interview #1 with Robert Vazquez-Pacheco or Interview #7 with Robert Garcia?'
+    });
+
+    assert.ok(answer.validation.problems.includes('missing_citation'));
+    assert.strictEqual(answer.text, repairedAnswer);
+    assert.strictEqual(llm.calls.length, 1);
+});
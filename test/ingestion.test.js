@@ -0,0 +1,99 @@
+// test/ingestion.test.js
+//
+// Ingestion jobs leave the data files as the search engine serves them:
+// changed when the reload succeeds, put back when it fails.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IngestionService } = require('../lib/ingestion');
+const { writeEmbeddingsFile } = require('../lib/embeddingsFile');
+
+const directories = [];
+test.after(() => directories.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A data directory with two interviews, one chunk each, and the first one's PDF
+function archive() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+    directories.push(dataDir);
+    const pdfDir = path.join(dataDir, 'pdfs');
+    fs.mkdirSync(pdfDir);
+    fs.writeFileSync(path.join(dataDir, 'metadata.csv'),
+        'id,name,date,excerpt_title,tags,web_url,pdf_name\n' +
+        '1,Jean Carlomusto,"December 19, 2002",,,,document1.pdf\n' +
+        '2,Robert Vazquez-Pacheco,"December 14, 2002",,,,document2.pdf\n');
+    fs.writeFileSync(path.join(dataDir, 'name_aliases.csv'), 'id,alias\n1,Jean\n');
+    fs.writeFileSync(path.join(pdfDir, 'document1.pdf'), '%PDF-1.4 stand-in');
+    writeEmbeddingsFile(path.join(dataDir, 'embeddings.json'), {
+        model: 'local-hash-4',
+        chunks: ['document1.pdf', 'document2.pdf'].map((source, i) => ({
+            text: `Passage ${i + 1}`,
+            embedding: [1, i, 0, 0],
+            metadata: { source }
+        }))
+    });
+    return { dataDir, pdfDir };
+}
+
+function snapshot(dir) {
+    const files = {};
+    for (const name of fs.readdirSync(dir, { recursive: true })) {
+        const filePath = path.join(dir, name);
+        if (fs.statSync(filePath).isFile()) {
+            files[name] = fs.readFileSync(filePath, 'utf8');
+        }
+    }
+    return files;
+}
+
+function service(dataDir, pdfDir, reload) {
+    const searchEngine = {
+        dataDir,
+        metadata: new Map([['1', {}], ['2', {}]]),
+        reload
+    };
+    return new IngestionService({
+        searchEngine,
+        llm: { embeddingModel: 'local-hash-4' },
+        dataDir,
+        pdfDir,
+        log: { log() {}, error() {} }
+    });
+}
+
+test('a delete whose reload fails puts every file back', async () => {
+    const { dataDir, pdfDir } = archive();
+    const before = snapshot(dataDir);
+    const ingestion = service(dataDir, pdfDir, async () => {
+        throw new Error('pgvector is unreachable');
+    });
+
+    const job = ingestion.deleteInterview('1');
+    await ingestion.queue;
+
+    assert.strictEqual(job.state, 'failed');
+    assert.strictEqual(job.error, 'pgvector is unreachable');
+    assert.deepStrictEqual(snapshot(dataDir), before);
+});
+
+test('a delete whose reload succeeds removes the interview from every file', async () => {
+    const { dataDir, pdfDir } = archive();
+    let reloads = 0;
+    const ingestion = service(dataDir, pdfDir, async () => {
+        reloads++;
+    });
+
+    const job = ingestion.deleteInterview('1');
+    await ingestion.queue;
+
+    assert.strictEqual(job.state, 'succeeded');
+    assert.strictEqual(reloads, 1);
+    const files = snapshot(dataDir);
+    assert.ok(!files['metadata.csv'].includes('Jean Carlomusto'));
+    assert.strictEqual(files['name_aliases.csv'], 'id,alias\n');
+    assert.ok(!('pdfs/document1.pdf' in files));
+    const chunks = JSON.parse(files['embeddings.json']).chunks;
+    assert.deepStrictEqual(chunks.map(chunk => chunk.metadata.source), ['document2.pdf']);
+    assert.ok(Object.keys(files).every(name => !name.endsWith('.bak')));
+});
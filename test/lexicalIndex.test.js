@@ -0,0 +1,60 @@
+// test/lexicalIndex.test.js
+//
+// BM25 search over chunk texts: phrase matches, accents, source filters and
+// the JSON form the server loads.
+const test = require('node:test');
+const assert = require('node:assert');
+const { LexicalIndex, tokenize } = require('../lib/lexicalIndex');
+
+const texts = [
+    'We planned to seize control of the FDA building in Rockville.',
+    'The FDA was slow. We wanted control over our own treatment, so we seized the agenda.',
+    'Majority Action organized in the Latino community.',
+    'Moisés trabajó con ACT UP en Puerto Rico sobre la crisis del SIDA.'
+];
+const sources = ['document1.pdf', 'document1.pdf', 'document2.pdf', 'document2.pdf'];
+
+test('tokens drop stopwords and accents and include bigrams of adjacent words', () => {
+    assert.deepStrictEqual(tokenize('Seize Control of the FDA'),
+        ['seize', 'control', 'fda', 'seize control', 'control fda']);
+    assert.deepStrictEqual(tokenize('Moisés y la crisis'), ['moises', 'crisis', 'moises crisis']);
+});
+
+test('a quoted phrase ranks the chunk containing it first', () => {
+    const index = LexicalIndex.build(texts, sources);
+    const hits = index.search('Seize Control of the FDA', { k: 5 });
+
+    assert.deepStrictEqual(hits.map(hit => hit.index), [0, 1]);
+    assert.ok(hits[0].score > hits[1].score);
+});
+
+test('accented and unaccented spellings match each other', () => {
+    const index = LexicalIndex.build(texts, sources);
+
+    assert.deepStrictEqual(index.search('Moises', { k: 5 }).map(hit => hit.index), [3]);
+    assert.deepStrictEqual(index.search('crisis del SIDA', { k: 5 }).map(hit => hit.index), [3]);
+});
+
+test('a source filter only returns chunks of those PDFs', () => {
+    const index = LexicalIndex.build(texts, sources);
+
+    assert.deepStrictEqual(index.search('FDA', { k: 5, sources: ['document2.pdf'] }), []);
+    assert.deepStrictEqual(index.search('ACT UP Majority Action', { k: 5, sources: ['document2.pdf'] })
+        .map(hit => hit.index).sort(), [2, 3]);
+});
+
+test('an index saved to JSON searches the same and recognises its texts', () => {
+    const index = LexicalIndex.build(texts, sources);
+    const loaded = LexicalIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+
+    assert.deepStrictEqual(loaded.search('control FDA treatment'), index.search('control FDA treatment'));
+    assert.strictEqual(loaded.size, texts.length);
+    assert.ok(loaded.matches(texts));
+    assert.ok(!loaded.matches([...texts.slice(0, 3), 'Another chunk']));
+});
+
+test('an index file in another format is refused', () => {
+    const data = { ...LexicalIndex.build(texts, sources).toJSON(), version: 1 };
+
+    assert.throws(() => LexicalIndex.fromJSON(data), /Unsupported lexical index version 1/);
+});
@@ -0,0 +1,141 @@
+// test/migrator.test.js
+//
+// Schema migrations: applying and reverting in order, one transaction each,
+// under the advisory lock.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator } = require('../lib/migrator');
+
+const directories = [];
+test.after(() => directories.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A migrations directory; each migration runs `CREATE <name>` / `DROP <name>`
+function migrations(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    directories.push(dir);
+    for (const [file, source] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), source || `
+            module.exports = {
+                async up(client) { await client.query('CREATE ${file}'); },
+                async down(client) { await client.query('DROP ${file}'); }
+            };
+        `);
+    }
+    return dir;
+}
+
+// A database that keeps schema_migrations and the migrations' statements,
+// dropping what a transaction did when it is rolled back
+function fakePool() {
+    const db = { applied: new Map(), statements: [], locked: false, released: 0 };
+    let transaction = null;
+    const client = {
+        async query(text, params = []) {
+            const sql = text.trim();
+            if (sql.startsWith('SELECT pg_advisory_lock')) {
+                assert.ok(!db.locked);
+                db.locked = true;
+            } else if (sql.startsWith('SELECT pg_advisory_unlock')) {
+                db.locked = false;
+            } else if (sql === 'BEGIN') {
+                transaction = { applied: new Map(db.applied), statements: [...db.statements] };
+            } else if (sql === 'COMMIT') {
+                transaction = null;
+            } else if (sql === 'ROLLBACK') {
+                db.applied = transaction.applied;
+                db.statements = transaction.statements;
+                transaction = null;
+            } else if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+                // Nothing to do
+            } else if (sql.startsWith('SELECT version FROM schema_migrations')) {
+                return { rows: [...db.applied.keys()].map(version => ({ version })) };
+            } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+                db.applied.set(params[0], params[1]);
+            } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+                db.applied.delete(params[0]);
+            } else if (sql.startsWith('FAIL')) {
+                throw new Error('relation "missing" does not exist');
+            } else {
+                db.statements.push(sql);
+            }
+            return { rows: [] };
+        },
+        release() {
+            db.released++;
+        }
+    };
+    return { db, async connect() { return client; } };
+}
+
+function migrator(pool, directory) {
+    return new Migrator({ pool, directory, log() {} });
+}
+
+const three = { '001_baseline.js': null, '010_turns.js': null, '002_indexes.js': null, 'README.md': 'not a migration' };
+
+test('up applies pending migrations in version order, once', async () => {
+    const pool = fakePool();
+    const schema = migrator(pool, migrations(three));
+
+    const applied = await schema.up();
+    assert.deepStrictEqual(applied.map(migration => migration.version), [1, 2, 10]);
+    assert.deepStrictEqual(pool.db.statements, ['CREATE 001_baseline.js', 'CREATE 002_indexes.js', 'CREATE 010_turns.js']);
+    assert.deepStrictEqual([...pool.db.applied], [[1, 'baseline'], [2, 'indexes'], [10, 'turns']]);
+
+    assert.deepStrictEqual(await schema.up(), []);
+    assert.strictEqual(pool.db.statements.length, 3);
+    assert.strictEqual(pool.db.locked, false);
+    assert.strictEqual(pool.db.released, 2);
+});
+
+test('up stops at the requested version and status reports what is applied', async () => {
+    const pool = fakePool();
+    const schema = migrator(pool, migrations(three));
+
+    await schema.up({ to: 2 });
+    const status = await schema.status();
+    assert.deepStrictEqual(status.map(migration => [migration.version, migration.applied]), [[1, true], [2, true], [10, false]]);
+});
+
+test('down reverts the most recently applied migrations first', async () => {
+    const pool = fakePool();
+    const schema = migrator(pool, migrations(three));
+    await schema.up();
+
+    const reverted = await schema.down({ steps: 2 });
+    assert.deepStrictEqual(reverted.map(migration => migration.version), [10, 2]);
+    assert.deepStrictEqual(pool.db.statements.slice(3), ['DROP 010_turns.js', 'DROP 002_indexes.js']);
+    assert.deepStrictEqual([...pool.db.applied.keys()], [1]);
+});
+
+test('a failing migration is rolled back and stops the ones after it', async () => {
+    const pool = fakePool();
+    const directory = migrations({
+        '001_baseline.js': null,
+        '002_broken.js': `
+            module.exports = {
+                async up(client) { await client.query('CREATE half'); await client.query('FAIL'); },
+                async down() {}
+            };
+        `,
+        '003_later.js': null
+    });
+
+    await assert.rejects(migrator(pool, directory).up(),
+        /Migration 002_broken.js failed \(up\): relation "missing" does not exist/);
+    assert.deepStrictEqual(pool.db.statements, ['CREATE 001_baseline.js']);
+    assert.deepStrictEqual([...pool.db.applied.keys()], [1]);
+    assert.strictEqual(pool.db.locked, false);
+    assert.strictEqual(pool.db.released, 1);
+});
+
+test('two migrations with one version, or one without down(), are refused', async () => {
+    const duplicate = migrations({ '001_baseline.js': null, '001_other.js': null });
+    await assert.rejects(migrator(fakePool(), duplicate).up(), /Two migrations share version 1/);
+
+    const incomplete = migrations({ '001_baseline.js': 'module.exports = { async up() {} };' });
+    await assert.rejects(migrator(fakePool(), incomplete).up(), /Migration 001_baseline.js must export up\(\) and down\(\)/);
+});
@@ -0,0 +1,58 @@
+// test/nameResolver.test.js
+//
+// Finding the narrators a question names: accents, possessives, common
+// words, typos and narrators who share a first name.
+const test = require('node:test');
+const assert = require('node:assert');
+const { NameResolver, editDistance } = require('../lib/nameResolver');
+
+const people = [
+    { id: '1', record: { name: 'Robert Vazquez-Pacheco' } },
+    { id: '2', record: { name: 'Moisés Agosto' } },
+    { id: '3', record: { name: 'Jean Carlomusto' } },
+    { id: '4', record: { name: 'Robert Garcia' } },
+    { id: '5', record: { name: 'Bill Bahlman' } }
+];
+const resolver = new NameResolver(people, { 3: ['Jeannie', 'J. Carlomusto'] });
+
+function ids(question, options) {
+    return resolver.resolve(question, options).matches.map(match => match.id);
+}
+
+test('full names match regardless of accents and possessives', () => {
+    const { matches } = resolver.resolve("What was Moises Agosto's role?");
+
+    assert.deepStrictEqual(matches.map(match => [match.id, match.kind, match.confidence]), [['2', 'full', 1]]);
+    assert.deepStrictEqual(ids('Tell me about Moisés’s work in Puerto Rico'), ['2']);
+});
+
+test('a hyphenated surname matches each of its parts', () => {
+    assert.deepStrictEqual(ids('What did Pacheco say?'), ['1']);
+    assert.deepStrictEqual(ids('What did Vazquez say?'), ['1']);
+});
+
+test('aliases count as the narrator', () => {
+    assert.deepStrictEqual(ids('What did Jeannie film?'), ['3']);
+    assert.deepStrictEqual(resolver.resolve('Ask J. Carlomusto about video').matches[0].kind, 'alias');
+});
+
+test('name parts inside other words or as lowercase common words do not match', () => {
+    assert.deepStrictEqual(ids('That was a remarkable bill to pass'), []);
+    assert.deepStrictEqual(ids('What did Bill do at the FDA?'), ['5']);
+});
+
+test('a shared first name is ambiguous until something tells the narrators apart', () => {
+    const { matches, ambiguous } = resolver.resolve('What did Robert think?');
+    assert.deepStrictEqual(matches, []);
+    assert.deepStrictEqual(ambiguous.map(entry => [entry.text, entry.candidates.map(c => c.id)]), [['Robert', ['1', '4']]]);
+
+    assert.deepStrictEqual(ids('What did Robert think?', { preferIds: ['4'] }), ['4']);
+    assert.deepStrictEqual(ids('Did Robert Garcia know Robert?'), ['4']);
+});
+
+test('long names are found with a typo', () => {
+    const { matches } = resolver.resolve('What did Carlomsuto film?');
+
+    assert.deepStrictEqual(matches.map(match => [match.id, match.kind]), [['3', 'fuzzy']]);
+    assert.strictEqual(editDistance('carlomsuto', 'carlomusto'), 1);
+});
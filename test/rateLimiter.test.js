@@ -0,0 +1,57 @@
+// test/rateLimiter.test.js
+//
+// Rate limit specs and the sliding window they configure.
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRateLimit, RateLimiter } = require('../lib/rateLimiter');
+
+test('specs give a limit and a window; empty, "0" and "off" disable it', () => {
+    assert.deepStrictEqual(parseRateLimit('20/10m'), { limit: 20, windowMs: 600000 });
+    assert.deepStrictEqual(parseRateLimit('30/m'), { limit: 30, windowMs: 60000 });
+    assert.deepStrictEqual(parseRateLimit(' 100 / h '), { limit: 100, windowMs: 3600000 });
+    assert.deepStrictEqual(parseRateLimit('500/1d'), { limit: 500, windowMs: 86400000 });
+    for (const off of [undefined, null, '', '0', 'off']) {
+        assert.strictEqual(parseRateLimit(off), null);
+    }
+});
+
+test('malformed specs are refused with the setting named', () => {
+    for (const spec of ['20', '20/10', '0/m', '20/10w', 'many/m']) {
+        assert.throws(() => parseRateLimit(spec, 'RATE_LIMIT_IP'), new RegExp(`Invalid RATE_LIMIT_IP "${spec}"`));
+    }
+});
+
+test('a key is refused once it reaches the limit inside the window', () => {
+    const limiter = new RateLimiter({ limit: 3, windowMs: 60000 });
+    const start = 1700000000000;
+
+    for (const offset of [0, 10000, 20000]) {
+        assert.deepStrictEqual(limiter.hit('R_1', start + offset), { allowed: true, retryAfter: null });
+    }
+    // The oldest request leaves the window 60s after it was made
+    assert.deepStrictEqual(limiter.hit('R_1', start + 30000), { allowed: false, retryAfter: 30 });
+    assert.deepStrictEqual(limiter.hit('R_2', start + 30000), { allowed: true, retryAfter: null });
+    assert.deepStrictEqual(limiter.hit('R_1', start + 60001), { allowed: true, retryAfter: null });
+    assert.deepStrictEqual(limiter.hit('R_1', start + 60002), { allowed: false, retryAfter: 10 });
+});
+
+test('refused requests do not extend the wait', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+    limiter.hit('ip', 0);
+    for (let now = 100; now < 1000; now += 100) {
+        assert.strictEqual(limiter.hit('ip', now).allowed, false);
+    }
+    assert.strictEqual(limiter.hit('ip', 1000).allowed, true);
+});
+
+test('idle keys are swept', () => {
+    const limiter = new RateLimiter({ limit: 5, windowMs: 1000 });
+
+    limiter.hit('idle', 0);
+    for (let i = 0; i < 1000; i++) {
+        limiter.hit(`busy-${i % 3}`, 5000 + i);
+    }
+    assert.ok(!limiter.hits.has('idle'));
+    assert.ok(limiter.hits.has('busy-0'));
+});
@@ -0,0 +1,74 @@
+// test/searchEngine.test.js
+//
+// Query translations for cross-lingual retrieval: one model call per query
+// and language, recorded in the turn's usage.
+const test = require('node:test');
+const assert = require('node:assert');
+const { AISearchEngine } = require('../lib/searchEngine');
+const { TurnUsage } = require('../lib/usageBudget');
+
+// A chat model that "translates" by tagging the question, counting its calls
+function fakeLlm({ fail = false } = {}) {
+    return {
+        embeddingModel: 'local-hash-4',
+        calls: 0,
+        async complete({ model, messages }) {
+            this.calls++;
+            if (fail) throw new Error('429 Rate limit reached');
+            const language = /into (\w+)\./.exec(messages[0].content)[1];
+            return {
+                text: `[${language}] ${messages[1].content}`,
+                model,
+                usage: { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 },
+                finishReason: 'stop'
+            };
+        }
+    };
+}
+
+function engine(llm) {
+    const searchEngine = new AISearchEngine(llm);
+    searchEngine.archiveLanguages = ['en', 'es'];
+    return searchEngine;
+}
+
+test('a query is translated into the other archive languages and recorded in the usage', async () => {
+    const llm = fakeLlm();
+    const usage = new TurnUsage();
+
+    const translations = await engine(llm).translateQuery('Who was Jean Carlomusto?', 'en', usage);
+
+    assert.deepStrictEqual(translations, [{ language: 'es', query: '[Spanish] Who was Jean Carlomusto?' }]);
+    assert.strictEqual(llm.calls, 1);
+    assert.deepStrictEqual(usage.totals, { prompt_tokens: 40, completion_tokens: 10, total_tokens: 50 });
+});
+
+test('the same query asked again is translated from the cache', async () => {
+    const llm = fakeLlm();
+    const searchEngine = engine(llm);
+    await searchEngine.translateQuery('Who was Jean Carlomusto?', 'en');
+
+    const usage = new TurnUsage();
+    const translations = await searchEngine.translateQuery('  who was jean   Carlomusto? ', 'en', usage);
+
+    assert.deepStrictEqual(translations.map(translation => translation.query), ['[Spanish] Who was Jean Carlomusto?']);
+    assert.strictEqual(llm.calls, 1);
+    assert.strictEqual(usage.totals, null);
+
+    await searchEngine.translateQuery('Who was Jean Carlomusto?', 'es');
+    assert.strictEqual(llm.calls, 2);
+});
+
+test('failed translations are not cached', async () => {
+    const llm = fakeLlm({ fail: true });
+    const searchEngine = engine(llm);
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.deepStrictEqual(await searchEngine.translateQuery('Who was Jean?', 'en'), []);
+        assert.deepStrictEqual(await searchEngine.translateQuery('Who was Jean?', 'en'), []);
+    } finally {
+        console.error = error;
+    }
+    assert.strictEqual(llm.calls, 2);
+});
@@ -0,0 +1,57 @@
+// test/sessionStore.test.js
+//
+// Resetting a session: only the participant whose questions it holds may.
+const test = require('node:test');
+const assert = require('node:assert');
+const { SessionStore } = require('../lib/sessionStore');
+
+const bot = { id: 'aids-activism', version: '1' };
+
+// chat_messages rows in memory, answering the queries reset() makes
+function fakePool(rows) {
+    return {
+        rows,
+        async query(text, params) {
+            if (/^\s*SELECT 1 FROM chat_messages/.test(text)) {
+                const [sessionId, chatbotId, qualtricsId] = params;
+                const others = rows.filter(row => row.session_id === sessionId && row.chatbot_id === chatbotId &&
+                    row.role === 'user' && row.qualtrics_id !== qualtricsId);
+                return { rows: others.slice(0, 1).map(() => ({ '?column?': 1 })) };
+            }
+            if (/^\s*INSERT INTO chat_messages/.test(text)) {
+                const [qualtricsId, sessionId, role, content, chatbotId] = params;
+                rows.push({ qualtrics_id: qualtricsId, session_id: sessionId, role, content, chatbot_id: chatbotId });
+                return { rows: [] };
+            }
+            throw new Error(`Unexpected query: ${text}`);
+        }
+    };
+}
+
+function store(rows) {
+    const pool = fakePool(rows);
+    return { pool, sessions: new SessionStore({ pool, llm: null }) };
+}
+
+const question = { qualtrics_id: 'R_owner', session_id: 's1', chatbot_id: bot.id, role: 'user', content: 'Who was Jean?' };
+
+test('the participant who asked in a session can reset it', async () => {
+    const { pool, sessions } = store([question]);
+
+    assert.strictEqual(await sessions.reset(bot, 's1', 'R_owner'), true);
+    const marker = pool.rows[pool.rows.length - 1];
+    assert.deepStrictEqual([marker.role, marker.qualtrics_id, marker.session_id], ['reset', 'R_owner', 's1']);
+});
+
+test('another participant cannot reset it', async () => {
+    const { pool, sessions } = store([question]);
+
+    assert.strictEqual(await sessions.reset(bot, 's1', 'R_someone_else'), false);
+    assert.strictEqual(pool.rows.length, 1);
+});
+
+test('the same session id with another bot is a separate session', async () => {
+    const { sessions } = store([question]);
+
+    assert.strictEqual(await sessions.reset({ id: 'other-bot', version: '1' }, 's1', 'R_someone_else'), true);
+});
@@ -0,0 +1,81 @@
+// test/transcriptChunker.test.js
+//
+// Chunking transcripts along speaker turns: which labels start a turn,
+// keeping a question with its answer, and splitting turns that don't fit.
+const test = require('node:test');
+const assert = require('node:assert');
+const { TranscriptChunker, PAGE_SEPARATOR } = require('../lib/transcriptChunker');
+
+const transcript = [
+    'SARAH SCHULMAN: How did you come to ACT UP?',
+    'ROBERT VAZQUEZ-PACHECO: A friend took me to a Monday night meeting.',
+    'ACT UP: Fight Back, Fight AIDS was on the banner.',
+    'NOTE: I still have it.',
+    'SARAH SCHULMAN: What did you do there?',
+    'ROBERT VAZQUEZ-PACHECO: I joined Majority Action.'
+].join('\n');
+
+function chunk(doc, options = {}) {
+    return new TranscriptChunker({ maxTokens: 500, overlapTokens: 0, ...options }).chunkDocument({ title: 'document1.pdf', ...doc });
+}
+
+test('a capitalised phrase before a colon is not a speaker', () => {
+    const chunks = chunk({ pages: [transcript], speakers: ['Robert Vazquez-Pacheco'] });
+
+    assert.deepStrictEqual(chunks.map(c => c.speakers), [['SARAH SCHULMAN', 'ROBERT VAZQUEZ-PACHECO']]);
+    assert.ok(chunks[0].text.includes('meeting. ACT UP: Fight Back'));
+    assert.strictEqual(chunks[0].narratorShare > 0.5, true);
+});
+
+test('without metadata the narrator comes from the header, or else from the most frequent label', () => {
+    const header = 'Interviewee: Robert Vazquez-Pacheco\nInterviewer: Sarah Schulman\n\n';
+    for (const pages of [[header + transcript], [transcript]]) {
+        const chunks = chunk({ pages });
+        assert.deepStrictEqual(chunks.flatMap(c => c.speakers), ['SARAH SCHULMAN', 'ROBERT VAZQUEZ-PACHECO']);
+    }
+});
+
+test('names match labels regardless of accents', () => {
+    const chunks = chunk({
+        pages: ['Q: Where were you born?\nMOISES AGOSTO: In Puerto Rico.\nQ: And then?\nMOISES AGOSTO: New York.'],
+        speakers: ['Moisés Agosto']
+    });
+
+    assert.deepStrictEqual(chunks.flatMap(c => c.speakers), ['Q', 'MOISES AGOSTO']);
+    assert.strictEqual(chunks[0].narratorShare > 0.5, true);
+});
+
+test('each question starts a chunk when two exchanges do not fit together', () => {
+    const answer = 'We met every Monday and argued about everything. '.repeat(4).trim();
+    const pages = [`SARAH SCHULMAN: First question?\nROBERT VAZQUEZ-PACHECO: ${answer}\n` +
+        `SARAH SCHULMAN: Second question?\nROBERT VAZQUEZ-PACHECO: ${answer}`];
+    const chunks = chunk({ pages }, { maxTokens: 60 });
+
+    assert.strictEqual(chunks.length, 2);
+    assert.ok(chunks[0].text.startsWith('SARAH SCHULMAN: First question?'));
+    assert.ok(chunks[1].text.startsWith('SARAH SCHULMAN: Second question?'));
+});
+
+test('a turn longer than maxTokens is split on sentences, with overlap', () => {
+    const sentences = Array.from({ length: 12 }, (_, i) => `This is sentence number ${i + 1} of the answer.`);
+    const chunks = chunk({ pages: [`A: ${sentences.join(' ')}`] }, { maxTokens: 40, overlapTokens: 12 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.tokens <= 40));
+    for (let i = 1; i < chunks.length; i++) {
+        const lastSentence = chunks[i - 1].text.split(/(?<=\.) /).pop();
+        assert.ok(chunks[i].text.startsWith(lastSentence));
+    }
+    assert.ok(chunks[chunks.length - 1].text.endsWith('sentence number 12 of the answer.'));
+});
+
+test('pages and character offsets point into the joined document text', () => {
+    const pages = ['Q: Where did you live?\nA: On the Lower East Side.', 'Q: With whom?\nA: With my lover.'];
+    const chunks = chunk({ pages }, { maxTokens: 20 });
+    const text = pages.join(PAGE_SEPARATOR);
+
+    assert.deepStrictEqual(chunks.map(c => [c.pageStart, c.pageEnd]), [[1, 1], [2, 2]]);
+    for (const c of chunks) {
+        assert.strictEqual(text.slice(c.charStart, c.charEnd), c.text);
+    }
+});
@@ -0,0 +1,134 @@
+// test/usageBudget.test.js
+//
+// Turn costs and the spend caps checked before a turn runs.
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPrices, estimateEmbeddingTokens, TurnUsage, UsageBudget } = require('../lib/usageBudget');
+const { LimitExceededError } = require('../lib/serviceErrors');
+
+const log = { warn() {}, log() {}, error() {} };
+
+function usage(prompt, completion) {
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// Answers the spend query with fixed sums and records its parameters
+function fakePool(spend) {
+    return {
+        calls: [],
+        async query(text, params) {
+            this.calls.push(params);
+            if (spend instanceof Error) throw spend;
+            return { rows: [spend] };
+        }
+    };
+}
+
+test('a turn sums every completion made for it and the texts it embedded', () => {
+    const turn = new TurnUsage();
+    assert.strictEqual(turn.totals, null);
+
+    turn.addCompletion({ model: 'gpt-4o-mini', usage: usage(1000, 200) });
+    turn.addCompletion({ model: 'gpt-4o-2024-08-06', usage: usage(500, 100) });
+    turn.addCompletion({ model: 'gpt-4o', usage: null });
+    turn.addEmbedding(['Who was Jean Carlomusto?', '']);
+
+    assert.deepStrictEqual(turn.totals, usage(1500, 300));
+    assert.strictEqual(turn.embeddingTokens, estimateEmbeddingTokens(['Who was Jean Carlomusto?']));
+    assert.ok(turn.embeddingTokens > 0);
+});
+
+test('costs are priced per model by the longest matching prefix', () => {
+    const budget = new UsageBudget({ pool: null, log });
+    const turn = new TurnUsage();
+    turn.addCompletion({ model: 'gpt-4o-mini', usage: usage(1000000, 1000000) });
+    turn.addCompletion({ model: 'gpt-4o-2024-08-06', usage: usage(1000000, 0) });
+    turn.embeddingTokens = 1000000;
+
+    assert.strictEqual(budget.cost(turn, 'text-embedding-3-small'), 0.15 + 0.6 + 2.5 + 0.02);
+});
+
+test('a turn using a model without a price has no cost, and the model is logged once', () => {
+    const warnings = [];
+    const budget = new UsageBudget({ pool: null, log: { warn: message => warnings.push(message) } });
+    const turn = new TurnUsage();
+    turn.addCompletion({ model: 'claude-custom', usage: usage(10, 10) });
+
+    assert.strictEqual(budget.cost(turn), null);
+    assert.strictEqual(budget.cost(turn), null);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /No price for model claude-custom/);
+});
+
+test('price overrides add models and are validated', () => {
+    const prices = loadPrices('{"claude-custom": {"input": 3, "output": 15}}');
+    const budget = new UsageBudget({ pool: null, prices, log });
+    const turn = new TurnUsage();
+    turn.addCompletion({ model: 'claude-custom', usage: usage(1000, 1000) });
+
+    assert.strictEqual(budget.cost(turn), 0.018);
+    assert.strictEqual(prices['gpt-4o'].input, 2.5);
+    assert.throws(() => loadPrices({ 'claude-custom': { output: 15 } }), /Price for claude-custom needs numeric "input"/);
+});
+
+test('a participant at their cap is refused; others only count toward the daily cap', async () => {
+    const pool = fakePool({ today: '1.50', participant: '0.50' });
+    const budget = new UsageBudget({ pool, participantBudget: 0.5, dailyBudget: 2, log });
+
+    await assert.rejects(budget.check('R_1'), error =>
+        error instanceof LimitExceededError && error.code === 'participant_budget_exhausted');
+    await budget.check('unknown');
+    assert.strictEqual(pool.calls[1][1], null);
+});
+
+test('the daily cap refuses everyone until the next UTC day', async () => {
+    const budget = new UsageBudget({ pool: fakePool({ today: '2.00', participant: '0' }), dailyBudget: 2, log });
+
+    await assert.rejects(budget.check('R_1'), error => {
+        assert.ok(error instanceof LimitExceededError);
+        assert.strictEqual(error.code, 'daily_budget_exhausted');
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+        return true;
+    });
+});
+
+test('turns are allowed when the database is unreachable or no cap is set', async () => {
+    const down = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    await new UsageBudget({ pool: fakePool(down), dailyBudget: 2, log }).check('R_1');
+
+    const pool = fakePool({ today: '100', participant: '100' });
+    await new UsageBudget({ pool, log }).check('R_1');
+    assert.strictEqual(pool.calls.length, 0);
+
+    const broken = Object.assign(new Error('column "cost_usd" does not exist'), { code: '42703' });
+    await assert.rejects(new UsageBudget({ pool: fakePool(broken), dailyBudget: 2, log }).check('R_1'), /cost_usd/);
+});
+
+test('the spend report adds searches to the total unless bots are asked for', async () => {
+    const pool = {
+        queries: 0,
+        async query(text) {
+            this.queries++;
+            if (/FROM searches/.test(text)) {
+                return { rows: [{ day: '2024-03-01', searches: '4', cost_usd: '0.002', unpriced_searches: '0' }] };
+            }
+            return {
+                rows: [{
+                    day: '2024-03-01', chatbot_id: 'aids-activism', turns: '2', prompt_tokens: '3000',
+                    completion_tokens: '400', embedding_tokens: '50', cost_usd: '0.01', unpriced_turns: '0'
+                }]
+            };
+        }
+    };
+    const budget = new UsageBudget({ pool, log });
+
+    const report = await budget.report();
+    assert.strictEqual(report.totalUsd, 0.012);
+    assert.deepStrictEqual(report.searches, [{ day: '2024-03-01', searches: 4, costUsd: 0.002, unpricedSearches: 0 }]);
+    assert.deepStrictEqual(report.byBot, [{ chatbotId: 'aids-activism', turns: 2, costUsd: 0.01 }]);
+
+    const forBot = await budget.report({ chatbotIds: ['aids-activism'] });
+    assert.strictEqual(forBot.totalUsd, 0.01);
+    assert.deepStrictEqual(forBot.searches, []);
+    assert.strictEqual(pool.queries, 3);
+});
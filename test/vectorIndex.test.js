@@ -0,0 +1,74 @@
+// test/vectorIndex.test.js
+//
+// Searches restricted to some PDFs return k rows even when those PDFs'
+// chunks are far from the query. The pgvector case needs a Postgres with
+// the vector extension in TEST_DATABASE_URL and is skipped without one.
+const test = require('node:test');
+const assert = require('node:assert');
+const { BruteForceIndex, HnswIndex, PgVectorIndex } = require('../lib/vectorIndex');
+
+const DIMENSIONS = 16;
+
+// Deterministic pseudo-random numbers, so every run builds the same archive
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// Most chunks point near the query; the chunks of far.pdf point away from it
+function archive() {
+    const next = random(7);
+    const vectors = [];
+    const sources = [];
+    for (let i = 0; i < 400; i++) {
+        const far = i % 20 === 0;
+        vectors.push(Array.from({ length: DIMENSIONS }, (_, d) => (d === 0 ? (far ? -1 : 1) : 0) + next() * 0.2));
+        sources.push(far ? 'far.pdf' : `near${i % 5}.pdf`);
+    }
+    return { vectors, sources };
+}
+
+const query = Array.from({ length: DIMENSIONS }, (_, d) => (d === 0 ? 1 : 0));
+
+for (const [name, create] of [['bruteforce', () => new BruteForceIndex()], ['hnsw', () => new HnswIndex()]]) {
+    test(`${name}: a search restricted to one PDF returns k of its chunks`, async () => {
+        const { vectors, sources } = archive();
+        const index = create();
+        await index.build(vectors, sources);
+
+        const hits = await index.search(query, { k: 10, sources: ['far.pdf'] });
+        assert.strictEqual(hits.length, 10);
+        assert.ok(hits.every(hit => sources[hit.index] === 'far.pdf'));
+        assert.ok(hits.every((hit, i) => i === 0 || hit.score <= hits[i - 1].score));
+    });
+}
+
+test('pgvector: a search restricted to one PDF returns k of its chunks', {
+    skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to a Postgres with pgvector'
+}, async () => {
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    const index = new PgVectorIndex({ pool, table: 'test_chunk_embeddings' });
+    try {
+        const { vectors, sources } = archive();
+        await index.build(vectors, sources);
+        await index.activate();
+
+        // Far more chunks than hnsw.ef_search (40) are nearer the query than far.pdf's
+        const hits = await index.search(query, { k: 10, sources: ['far.pdf'] });
+        assert.strictEqual(hits.length, 10);
+        assert.ok(hits.every(hit => sources[hit.index] === 'far.pdf'));
+
+        const unrestricted = await index.search(query, { k: 10 });
+        assert.strictEqual(unrestricted.length, 10);
+        assert.ok(unrestricted.every(hit => sources[hit.index] !== 'far.pdf'));
+    } finally {
+        index.table = null;
+        await index.dropInactive();
+        await pool.query('DROP TABLE IF EXISTS test_chunk_embeddings_state');
+        await pool.end();
+    }
+});
@@ -0,0 +1,156 @@
+// test/writeQueue.test.js
+//
+// The chat log write queue: spooling while Postgres is unreachable, replaying
+// in order, and picking up where a crashed replay stopped.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WriteQueue } = require('../lib/writeQueue');
+
+const directories = [];
+test.after(() => directories.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const log = { log() {}, warn() {}, error() {} };
+
+function spoolFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-queue-'));
+    directories.push(dir);
+    return path.join(dir, 'chat-log.jsonl');
+}
+
+// A database that can be taken down, optionally right before a given row,
+// and that rejects rows named 'bad'
+function fakePool() {
+    return {
+        down: false,
+        downAt: null,
+        written: [],
+        async query(text, params) {
+            if (params[0] === this.downAt) {
+                this.downAt = null;
+                this.down = true;
+            }
+            if (this.down) {
+                throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5432'), { code: 'ECONNREFUSED' });
+            }
+            if (params[0] === 'bad') {
+                throw Object.assign(new Error('invalid input syntax'), { code: '22P02' });
+            }
+            this.written.push(params[0]);
+        }
+    };
+}
+
+function queue(pool, file) {
+    const writes = new WriteQueue({ pool, file, retryMs: 60000, log });
+    writes.start();
+    return writes;
+}
+
+function spooled(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line).params[0]);
+}
+
+// start() replays in the background; wait for that pass to end
+async function replayed(writes) {
+    while (writes.replaying) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('writes made while others are spooled queue behind them', async () => {
+    const file = spoolFile();
+    const pool = fakePool();
+    const writes = queue(pool, file);
+
+    await writes.write('INSERT', ['first']);
+    pool.down = true;
+    await writes.write('INSERT', ['second']);
+    await writes.write('INSERT', ['third']);
+    pool.down = false;
+    // The database answers again, but the spool isn't empty yet
+    await writes.write('INSERT', ['fourth']);
+
+    assert.deepStrictEqual(pool.written, ['first']);
+    assert.deepStrictEqual(spooled(file), ['second', 'third', 'fourth']);
+    assert.strictEqual(writes.status().queuedWrites, 3);
+    assert.ok(writes.status().lastError);
+
+    await writes.replay();
+    assert.deepStrictEqual(pool.written, ['first', 'second', 'third', 'fourth']);
+    assert.deepStrictEqual(writes.status(), { queuedWrites: 0, lastError: null });
+    assert.ok(!fs.existsSync(file));
+    assert.ok(!fs.existsSync(`${file}.offset`));
+});
+
+test('an outage during a replay keeps the unwritten entries for the next pass', async () => {
+    const file = spoolFile();
+    const pool = fakePool();
+    const writes = queue(pool, file);
+    pool.down = true;
+    for (const row of [1, 2, 3, 4, 5]) {
+        await writes.write('INSERT', [row]);
+    }
+
+    pool.down = false;
+    pool.downAt = 4;
+    await writes.replay();
+    assert.deepStrictEqual(pool.written, [1, 2, 3]);
+    assert.deepStrictEqual(spooled(file), [4, 5]);
+    assert.strictEqual(writes.pending, 2);
+    assert.ok(!fs.existsSync(`${file}.offset`));
+
+    pool.down = false;
+    await writes.replay();
+    assert.deepStrictEqual(pool.written, [1, 2, 3, 4, 5]);
+    assert.ok(!fs.existsSync(file));
+});
+
+test('a restart after a crash mid-replay skips the entries the offset file counts', async () => {
+    const file = spoolFile();
+    // The earlier run wrote two entries, then died before rewriting the spool
+    fs.writeFileSync(file, [1, 2, 3].map(row => JSON.stringify({ text: 'INSERT', params: [row] })).join('\n') + '\n');
+    fs.writeFileSync(`${file}.offset`, '2');
+    const pool = fakePool();
+
+    const writes = new WriteQueue({ pool, file, retryMs: 60000, log });
+    assert.strictEqual(writes.pending, 1);
+    writes.start();
+    await replayed(writes);
+
+    assert.deepStrictEqual(pool.written, [3]);
+    assert.strictEqual(writes.pending, 0);
+    assert.ok(!fs.existsSync(file));
+    assert.ok(!fs.existsSync(`${file}.offset`));
+});
+
+test('rejected entries are set aside in the .failed file and the rest go through', async () => {
+    const file = spoolFile();
+    const pool = fakePool();
+    const writes = queue(pool, file);
+    pool.down = true;
+    for (const row of [1, 'bad', 3]) {
+        await writes.write('INSERT', [row]);
+    }
+
+    pool.down = false;
+    await writes.replay();
+
+    assert.deepStrictEqual(pool.written, [1, 3]);
+    assert.strictEqual(writes.pending, 0);
+    const failed = fs.readFileSync(`${file}.failed`, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.deepStrictEqual(failed.map(entry => [entry.params, entry.error]), [[['bad'], 'invalid input syntax']]);
+    assert.ok(!fs.existsSync(file));
+});
+
+test('other database errors reject the write instead of spooling it', async () => {
+    const file = spoolFile();
+    const pool = fakePool();
+    const writes = queue(pool, file);
+
+    await assert.rejects(writes.write('INSERT', ['bad']), /invalid input syntax/);
+    assert.strictEqual(writes.pending, 0);
+    assert.ok(!fs.existsSync(file));
+});